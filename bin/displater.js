@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+// Prepare images for print from the command line, with the same pipeline as
+// the server (lib/pipeline.js). Run with --help for the options.
+import { mkdir, readdir, readFile, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import { parseArgs } from 'node:util';
+import { PRESETS } from '../src/presets.js';
+import { FILL_MODES } from '../src/geometry.js';
+import { OUTPUT_FORMATS } from '../src/formats.js';
+import { DEFAULT_PANEL_GAP, PANEL_LAYOUTS } from '../src/panels.js';
+import {
+  ApiError, CROP_STRATEGIES, analyze, getOutputName, processImage, processSplit, resolvePreset, setLogger,
+  validateFields,
+} from '../lib/pipeline.js';
+
+const USAGE = `Usage: displater [options] <file or directory>...
+
+Crops or fills, resizes and encodes images for a print preset. Directories
+are searched for images, but not their subdirectories.
+
+Options:
+  -p, --preset <id>        ${PRESETS.map((preset) => preset.id).join(', ')}
+  -m, --mode <mode>        ${FILL_MODES.join(', ')} (default crop)
+      --background <hex>   Fill colour for pad mode, e.g. #000000
+      --focus <point>      Where to crop around: x,y as fractions of the image
+                           (0.5,0.5 is the middle) or ${CROP_STRATEGIES.join(' or ')}
+      --rotation <deg>     Clockwise rotation before cropping
+      --upscale <strategy> Upscale strategy (default auto)
+      --panels <layout>    Split across several plates: ${Object.keys(PANEL_LAYOUTS).join(', ')}
+      --gap <cm>           Space between the plates (default ${DEFAULT_PANEL_GAP})
+  -f, --format <format>    ${Object.keys(OUTPUT_FORMATS).join(', ')} (default jpeg)
+  -q, --quality <1-100>    Encoder quality for lossy formats
+      --max-size <MB>      Lower the quality until the file fits
+  -o, --out-dir <dir>      Where to write the prints (default: current directory)
+      --report             Print the validation report of each image as JSON
+                           instead of processing it
+  -v, --verbose            Log what the pipeline does to stderr
+  -h, --help               Show this help
+
+Exits with 1 when any image failed.`;
+
+// Extensions looked for in directories; files named on the command line are
+// tried whatever their extension
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.heic', '.heif', '.tif', '.tiff', '.gif'];
+
+const parseOptions = () => parseArgs({
+  allowPositionals: true,
+  options: {
+    preset: { type: 'string', short: 'p' },
+    mode: { type: 'string', short: 'm' },
+    background: { type: 'string' },
+    focus: { type: 'string' },
+    rotation: { type: 'string' },
+    upscale: { type: 'string' },
+    panels: { type: 'string' },
+    gap: { type: 'string' },
+    format: { type: 'string', short: 'f' },
+    quality: { type: 'string', short: 'q' },
+    'max-size': { type: 'string' },
+    'out-dir': { type: 'string', short: 'o', default: '.' },
+    report: { type: 'boolean' },
+    verbose: { type: 'boolean', short: 'v' },
+    help: { type: 'boolean', short: 'h' },
+  },
+});
+
+// The /process-image form fields for the command line options
+const toFields = (options) => {
+  const fields = {
+    preset: options.preset,
+    mode: options.mode,
+    background: options.background,
+    rotation: options.rotation,
+    upscale: options.upscale,
+    format: options.format,
+    quality: options.quality,
+    maxSizeMb: options['max-size'],
+    layout: options.panels,
+    gap: options.gap,
+  };
+  if (CROP_STRATEGIES.includes(options.focus)) {
+    fields.focus = options.focus;
+  } else if (options.focus) {
+    const [focusX, focusY] = options.focus.split(',');
+    if (focusY === undefined) {
+      throw new ApiError(400, 'INVALID_REQUEST', `Focus must be x,y or ${CROP_STRATEGIES.join(' or ')}`);
+    }
+    Object.assign(fields, { focusX, focusY });
+  }
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+};
+
+// The image files named on the command line, with directories expanded
+const findImages = async (inputs) => {
+  const files = [];
+  for (const input of inputs) {
+    if ((await stat(input)).isDirectory()) {
+      const entries = await readdir(input, { withFileTypes: true });
+      files.push(...entries
+        .filter((entry) => entry.isFile() && IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+        .map((entry) => path.join(input, entry.name))
+        .sort());
+    } else {
+      files.push(input);
+    }
+  }
+  return files;
+};
+
+const main = async () => {
+  let options, positionals;
+  try {
+    ({ values: options, positionals } = parseOptions());
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help || positionals.length === 0) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  // stdout is kept for the report
+  setLogger(options.verbose ? console.error : () => {});
+
+  let fields, preset, files;
+  try {
+    fields = toFields(options);
+    validateFields(fields);
+    preset = resolvePreset(fields.preset);
+    files = await findImages(positionals);
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  if (!options.report) await mkdir(options['out-dir'], { recursive: true });
+
+  // One image at a time, like the server's batch route
+  const usedNames = new Set();
+  const reports = [];
+  let failed = 0;
+  for (const [index, file] of files.entries()) {
+    const progress = `[${index + 1}/${files.length}] ${file}`;
+    try {
+      const buffer = await readFile(file);
+      if (options.report) {
+        reports.push({ file, report: await analyze(buffer, fields, preset) });
+        console.error(progress);
+      } else if (fields.layout) {
+        const result = await processSplit(buffer, fields, preset);
+        const outputs = [];
+        for (const [panel, { buffer: print }] of result.panels.entries()) {
+          const name = getOutputName(path.basename(file), preset, fields.format, usedNames, `-panel-${panel + 1}`);
+          outputs.push(path.join(options['out-dir'], name));
+          await writeFile(outputs.at(-1), print);
+        }
+        console.error(`${progress} -> ${outputs.join(', ')} (${result.upscale.factor.toFixed(2)}x, ${result.upscale.effectiveDpi} DPI)`);
+      } else {
+        const result = await processImage(buffer, fields, preset);
+        const output = path.join(options['out-dir'], getOutputName(path.basename(file), preset, fields.format, usedNames));
+        await writeFile(output, result.buffer);
+        console.error(`${progress} -> ${output} (${result.upscale.factor.toFixed(2)}x, ${result.upscale.effectiveDpi} DPI)`);
+      }
+    } catch (error) {
+      failed++;
+      const code = error.code || 'PROCESSING_FAILED';
+      reports.push({ file, error: { code, message: error.message } });
+      console.error(`${progress} failed: ${code} ${error.message}`);
+    }
+  }
+
+  if (options.report) console.log(JSON.stringify(reports, null, 2));
+  return failed > 0 ? 1 : 0;
+};
+
+process.exitCode = await main();
@@ -0,0 +1,870 @@
+// The image pipeline behind server.js and the displater CLI: checking an
+// image, analysing it for a preset, and cropping or filling, resizing and
+// encoding it for print. Node only; the geometry it shares with the React app
+// lives in src/.
+//
+//   import { analyze, processImage, resolvePreset } from './lib/pipeline.js';
+//   const preset = resolvePreset('displate-l');
+//   const report = await analyze(buffer, {}, preset);
+//   const { buffer: print, output } = await processImage(buffer, { mode: 'crop', focus: 'attention' }, preset);
+//
+// Options are the /process-image form fields, as strings or numbers. Errors
+// the caller made are thrown as ApiError with a code from the JSON error schema.
+import sharp from 'sharp';
+import { Buffer } from 'node:buffer';
+import process from 'node:process';
+import {
+  FILL_MODES, calculateCrop, calculateEditorCrop, containerPointToImage, getCropSize, getGuideInsets,
+  getOrientation, getOutputSize, getPrintGeometry, getRotatedBounds, toPixelRect,
+} from '../src/geometry.js';
+import { DEFAULT_PRESET, getPreset } from '../src/presets.js';
+import { COLOUR_CONVERSION_MESSAGES, SAMPLE_DEPTHS, getColourConversions } from '../src/colour.js';
+import {
+  QUALITY_RATINGS, UPSCALE_STRATEGIES, getEffectiveDpi, getQualityRating, getUpscalePlan, pickUpscaleStrategy,
+} from '../src/upscale.js';
+import { DEFAULT_OUTPUT_FORMAT, OUTPUT_FORMATS, findQualityForBudget, formatFileSize } from '../src/formats.js';
+import {
+  MOCKUP_FRAMES, MOCKUP_ROOMS, MOCKUP_SIZE, REFERENCE_OBJECTS, SHEEN_STOPS, getMockupLayout,
+} from '../src/mockup.js';
+import { DEFAULT_PANEL_GAP, MAX_PANEL_GAP, PANEL_LAYOUTS, getPanelPlan } from '../src/panels.js';
+import { getOverlaySvg, normaliseOverlays } from '../src/overlays.js';
+import {
+  getAdjustmentSteps, getSaturationMatrix, hasAdjustments, normaliseAdjustments,
+} from '../src/adjustments.js';
+
+// Image limits, adjustable when self-hosting. maxPixels guards against
+// decompression bombs: small files that decode to huge images.
+export const IMAGE_LIMITS = {
+  maxPixels: (parseFloat(process.env.MAX_MEGAPIXELS) || 150) * 1000 * 1000,
+  minSide: parseInt(process.env.MIN_IMAGE_SIDE, 10) || 300,
+};
+
+// Where the pipeline logs what it does; the CLI swaps it out to keep quiet
+let log = console.log;
+export const setLogger = (logger) => {
+  log = logger;
+};
+
+// An error with an HTTP status and a code from the JSON error schema:
+// { error: message, code }. Anything else becomes INTERNAL_ERROR.
+export class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Read the description tag of an ICC profile, e.g. "Display P3" or "sRGB IEC61966-2.1"
+const getIccDescription = (icc) => {
+  if (!icc || icc.length < 132) return null;
+  try {
+    const tagCount = icc.readUInt32BE(128);
+    for (let i = 0; i < tagCount; i++) {
+      const entry = 132 + i * 12;
+      if (icc.toString('ascii', entry, entry + 4) !== 'desc') continue;
+      const offset = icc.readUInt32BE(entry + 4);
+      const type = icc.toString('ascii', offset, offset + 4);
+      if (type === 'desc') {
+        // ICC v2: ASCII string with a length prefix (includes the trailing NUL)
+        const length = icc.readUInt32BE(offset + 8);
+        return icc.toString('ascii', offset + 12, offset + 12 + length).replace(/\0+$/, '');
+      }
+      if (type === 'mluc') {
+        // ICC v4: localized UTF-16BE strings, use the first record
+        const length = icc.readUInt32BE(offset + 20);
+        const start = offset + icc.readUInt32BE(offset + 24);
+        return Buffer.from(icc.subarray(start, start + length)).swap16().toString('utf16le');
+      }
+    }
+  } catch (error) {
+    console.warn('Could not read ICC profile description:', error.message);
+  }
+  return null;
+};
+
+// File signatures of the formats we accept. HEIF and AVIF share a container,
+// told apart by the brand after 'ftyp'.
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'heim', 'heis', 'mif1', 'msf1', 'avif', 'avis'];
+const detectFormat = (buffer) => {
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'png';
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+  if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return 'tiff';
+  if (ascii(4, 8) === 'ftyp' && HEIF_BRANDS.includes(ascii(8, 12))) return 'heif';
+  return null;
+};
+
+// Check an uploaded image and read its metadata. Throws an ApiError for
+// anything we won't process: unknown formats, undecodable data, and images
+// that are too small or too large.
+export const readImage = async (buffer) => {
+  if (!buffer || buffer.length === 0) {
+    throw new ApiError(400, 'NO_FILE', 'No image file provided');
+  }
+  if (!detectFormat(buffer)) {
+    throw new ApiError(415, 'UNSUPPORTED_FORMAT', 'File is not a JPEG, PNG, WebP, AVIF, HEIC, TIFF or GIF image');
+  }
+
+  let metadata;
+  try {
+    // Only the header is read here, so no limit yet: the check below gives a clearer error
+    metadata = await sharp(buffer, { limitInputPixels: false }).metadata();
+  } catch (error) {
+    throw new ApiError(422, 'INVALID_IMAGE', 'Could not read the image: ' + error.message);
+  }
+
+  if (metadata.width * metadata.height > IMAGE_LIMITS.maxPixels) {
+    throw new ApiError(413, 'TOO_MANY_PIXELS',
+      `Image is ${metadata.width}x${metadata.height}, more than ${IMAGE_LIMITS.maxPixels / 1e6} megapixels`);
+  }
+  if (Math.min(metadata.width, metadata.height) < IMAGE_LIMITS.minSide) {
+    throw new ApiError(422, 'TOO_SMALL',
+      `Image is ${metadata.width}x${metadata.height}, sides must be at least ${IMAGE_LIMITS.minSide}px`);
+  }
+  return metadata;
+};
+
+// Formats the output pipeline writes without converting
+const NATIVE_FORMATS = ['jpeg', 'png', 'webp', 'avif'];
+
+// Severity order for findings, most serious first
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Size of an image as displayed. EXIF orientations 5-8 store the pixels turned
+// by 90 degrees, so the stored width and height are swapped.
+const getUprightSize = ({ width, height, orientation }) =>
+  (orientation >= 5 ? { width: height, height: width } : { width, height });
+
+// EXIF orientation as a horizontal mirror followed by a clockwise rotation
+const EXIF_TRANSFORMS = {
+  1: { flop: false, angle: 0 },
+  2: { flop: true, angle: 0 },
+  3: { flop: false, angle: 180 },
+  4: { flop: true, angle: 180 },
+  5: { flop: true, angle: 270 },
+  6: { flop: false, angle: 90 },
+  7: { flop: true, angle: 90 },
+  8: { flop: false, angle: 270 },
+};
+
+// Largest sample value for a depth, the scale sharp's stats are in. Floating
+// point images go from 0 to 1.
+const getSampleRange = (depth) => {
+  const { bits, float } = SAMPLE_DEPTHS[depth] || SAMPLE_DEPTHS.uchar;
+  return float ? 1 : 2 ** bits - 1;
+};
+
+// Build a validation report for an image from its sharp metadata and stats
+const analyzeImage = (metadata, stats, preset) => {
+  const findings = [];
+  const addFinding = (code, severity, message) => findings.push({ code, severity, message });
+
+  const { width, height } = getUprightSize(metadata);
+  const orientation = getOrientation(width, height, preset);
+  const output = getOutputSize(orientation, preset);
+  const crop = getCropSize(width, height, orientation, preset);
+  const upscaleFactor = output.width / crop.width;
+  const effectiveDpi = getEffectiveDpi(upscaleFactor, preset);
+  const quality = getQualityRating(effectiveDpi, preset);
+
+  if (upscaleFactor > 1) {
+    const { label } = QUALITY_RATINGS.find(({ rating }) => rating === quality);
+    addFinding('upscaled', 'warning',
+      `Image dimensions (${width}x${height}) are below ${output.width}x${output.height} - will be upscaled ${upscaleFactor.toFixed(1)}x (about ${effectiveDpi} DPI, ${label.toLowerCase()} print quality)`);
+  }
+
+  const ratio = orientation === 'vertical' ? height / width : width / height;
+  if (Math.abs(ratio - preset.ratio) > 0.01) {
+    addFinding('cropped', 'info',
+      `Image ratio (${ratio.toFixed(2)}:1) doesn't match ${Number(preset.ratio.toFixed(2))}:1 - will be cropped`);
+  }
+
+  if (!NATIVE_FORMATS.includes(metadata.format)) {
+    addFinding('format', 'info', `${metadata.format.toUpperCase()} file will be converted to JPEG`);
+  }
+
+  const iccDescription = getIccDescription(metadata.icc);
+  for (const code of getColourConversions(metadata, iccDescription)) {
+    // Transparency only matters when some pixels are actually see-through
+    if (code === 'alpha-flattened' && stats.isOpaque) continue;
+    const severity = code === 'cmyk-to-rgb' || code === 'alpha-flattened' ? 'warning' : 'info';
+    const profile = code === 'icc-to-srgb' ? ` (${iccDescription || 'unnamed profile'})` : '';
+    addFinding(code, severity, COLOUR_CONVERSION_MESSAGES[code] + profile);
+  }
+
+  if (metadata.orientation && metadata.orientation > 1) {
+    addFinding('exif-orientation', 'info', `Photo is stored rotated (EXIF orientation ${metadata.orientation}) - will be turned upright`);
+  }
+
+  if (metadata.density && metadata.density < preset.dpi) {
+    addFinding('density', 'info', `Embedded resolution is ${metadata.density} DPI - will be saved at ${preset.dpi} DPI`);
+  }
+
+  // No channel varying by more than a level means one flat colour, usually a
+  // bad export. Low entropy alone would also catch flat vector art.
+  const blankStdev = getSampleRange(metadata.depth) / 255;
+  if (stats.channels.every((channel) => channel.stdev < blankStdev)) {
+    addFinding('blank', 'warning', 'Image looks almost blank');
+  }
+
+  findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+
+  return {
+    preset: preset.id,
+    width,
+    height,
+    format: metadata.format,
+    colourSpace: metadata.space,
+    iccProfile: iccDescription,
+    bitDepth: (SAMPLE_DEPTHS[metadata.depth] || SAMPLE_DEPTHS.uchar).bits,
+    hasAlpha: Boolean(metadata.hasAlpha),
+    exifOrientation: metadata.orientation || 1,
+    density: metadata.density || null,
+    orientation,
+    outputWidth: output.width,
+    outputHeight: output.height,
+    upscaleFactor: Number(upscaleFactor.toFixed(2)),
+    upscaleStrategy: pickUpscaleStrategy(upscaleFactor),
+    effectiveDpi,
+    quality,
+    findings,
+  };
+};
+
+// sharp strategies for finding an image's subject: 'attention' looks for skin
+// tones, saturated colours and bright spots, 'entropy' for the most detail
+export const CROP_STRATEGIES = ['attention', 'entropy'];
+// Longest side the image is shrunk to before looking for its subject
+const FOCUS_ANALYSIS_SIZE = 512;
+
+// Suggested crop for an image: the largest crop with the preset ratio, moved
+// over the image's subject. Returns the crop rectangle and its center as
+// fractions of the upright image; the center is what the crop editor takes.
+export const suggestCrop = async (buffer, metadata, preset, strategy = 'attention') => {
+  const upright = getUprightSize(metadata);
+  const scale = Math.min(1, FOCUS_ANALYSIS_SIZE / Math.max(upright.width, upright.height));
+  const width = Math.max(1, Math.round(upright.width * scale));
+  const height = Math.max(1, Math.round(upright.height * scale));
+  const small = await sharp(buffer, { limitInputPixels: IMAGE_LIMITS.maxPixels })
+    .rotate()
+    .resize(width, height, { fit: 'fill' })
+    .png({ compressionLevel: 0 })
+    .toBuffer();
+
+  const size = getCropSize(width, height, getOrientation(width, height, preset), preset);
+  const cropWidth = Math.max(1, Math.floor(size.width));
+  const cropHeight = Math.max(1, Math.floor(size.height));
+  // The crop is as big as fits, so 'cover' only crops and reports where
+  const { info } = await sharp(small)
+    .resize(cropWidth, cropHeight, { fit: 'cover', position: sharp.strategy[strategy] })
+    .toBuffer({ resolveWithObject: true });
+
+  // No offsets when the image already has the preset's ratio
+  const left = info.cropOffsetLeft ? -info.cropOffsetLeft / width : 0;
+  const top = info.cropOffsetTop ? -info.cropOffsetTop / height : 0;
+  return {
+    strategy,
+    crop: { left, top, width: cropWidth / width, height: cropHeight / height },
+    center: { x: left + cropWidth / width / 2, y: top + cropHeight / height / 2 },
+  };
+};
+
+// Longest side of the image the margin detail check looks at
+const DETAIL_ANALYSIS_SIZE = 1024;
+// A patch of the safe margin counts as detailed when its average edge
+// strength (0-255) is at least this, and this many times the crop's interior
+const DETAIL_MIN_EDGES = 10;
+const DETAIL_RATIO = 2;
+// Laplacian kernel: strong response on text, faces and other sharp edges
+const EDGE_KERNEL = { width: 3, height: 3, kernel: [-1, -1, -1, -1, 8, -1, -1, -1, -1] };
+
+const meanInRect = (data, width, rect) => {
+  let sum = 0;
+  for (let y = rect.top; y < rect.top + rect.height; y++) {
+    for (let x = rect.left; x < rect.left + rect.width; x++) sum += data[y * width + x];
+  }
+  return sum / Math.max(1, rect.width * rect.height);
+};
+
+// Sides of a crop ('top', 'right', 'bottom', 'left') that have sharp detail
+// inside the preset's safe margin, where it may be lost in print. `crop` is
+// the crop editor's rectangle as fractions of the rotated image, like the
+// /process-image crop fields.
+const findDetailInMargin = async (buffer, crop, rotation, preset) => {
+  const small = await sharp(buffer, { limitInputPixels: IMAGE_LIMITS.maxPixels })
+    .rotate()
+    .resize(DETAIL_ANALYSIS_SIZE, DETAIL_ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .png({ compressionLevel: 0 })
+    .toBuffer();
+  const rotated = rotation
+    ? await sharp(small).rotate(rotation, { background: '#ffffff' }).png({ compressionLevel: 0 }).toBuffer({ resolveWithObject: true })
+    : await sharp(small).toBuffer({ resolveWithObject: true });
+
+  const { width: boundsWidth, height: boundsHeight } = rotated.info;
+  const rect = toPixelRect({
+    left: crop.x * boundsWidth,
+    top: crop.y * boundsHeight,
+    width: crop.width * boundsWidth,
+    height: crop.height * boundsHeight,
+  }, boundsWidth, boundsHeight);
+  const { data, info } = await sharp(rotated.data)
+    .extract(rect)
+    .greyscale()
+    .convolve(EDGE_KERNEL)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+
+  const insets = getGuideInsets(getOrientation(width, height, preset), preset);
+  if (!insets) return [];
+  const marginX = Math.max(1, Math.round(insets.safe.x * width));
+  const marginY = Math.max(1, Math.round(insets.safe.y * height));
+  const interior = meanInRect(data, width, {
+    left: marginX, top: marginY, width: width - marginX * 2, height: height - marginY * 2,
+  });
+  const threshold = Math.max(DETAIL_MIN_EDGES, interior * DETAIL_RATIO);
+
+  // Look at each margin in patches about as long as the margin is deep, so
+  // a single line of text stands out against the plain area around it
+  const patches = (length, depth) => {
+    const count = Math.max(1, Math.round(length / depth));
+    return Array.from({ length: count }, (_, i) => ({
+      start: Math.round((i * length) / count),
+      size: Math.round(((i + 1) * length) / count) - Math.round((i * length) / count),
+    }));
+  };
+  const sides = {
+    top: patches(width, marginY).map(({ start, size }) => ({ left: start, top: 0, width: size, height: marginY })),
+    bottom: patches(width, marginY).map(({ start, size }) => ({ left: start, top: height - marginY, width: size, height: marginY })),
+    left: patches(height, marginX).map(({ start, size }) => ({ left: 0, top: start, width: marginX, height: size })),
+    right: patches(height, marginX).map(({ start, size }) => ({ left: width - marginX, top: start, width: marginX, height: size })),
+  };
+  return Object.keys(sides).filter((side) => sides[side].some((patch) => meanInRect(data, width, patch) >= threshold));
+};
+
+// Look up the preset named in a request, falling back to the default
+export const resolvePreset = (id) => {
+  const preset = id ? getPreset(id) : DEFAULT_PRESET;
+  if (!preset) {
+    throw new ApiError(400, 'INVALID_REQUEST', `Unknown preset: ${id}`);
+  }
+  return preset;
+};
+
+// Validation report for an image (see analyzeImage) plus a suggested crop.
+// `fields` are the /analyze form fields: `cropStrategy` picks one of
+// CROP_STRATEGIES, and the crop fields of /process-image (rotation and
+// cropX/Y/Width/Height) name the crop to check for detail in the safe margin.
+// Without them the suggested crop is checked, and fill modes (a `mode` other
+// than crop) aren't checked at all.
+export const analyze = async (buffer, fields, preset) => {
+  const strategy = fields.cropStrategy || 'attention';
+  if (!CROP_STRATEGIES.includes(strategy)) {
+    throw new ApiError(400, 'INVALID_REQUEST', `Unknown crop strategy: ${strategy}`);
+  }
+  const metadata = await readImage(buffer);
+  const stats = await sharp(buffer, { limitInputPixels: IMAGE_LIMITS.maxPixels }).stats();
+  const suggestedCrop = await suggestCrop(buffer, metadata, preset, strategy);
+  const report = analyzeImage(metadata, stats, preset);
+
+  if (!fields.mode || fields.mode === 'crop') {
+    const cropFields = ['cropX', 'cropY', 'cropWidth', 'cropHeight'].map((field) => parseFloat(fields[field]));
+    const suggested = suggestedCrop.crop;
+    const crop = cropFields.every(Number.isFinite)
+      ? { x: cropFields[0], y: cropFields[1], width: cropFields[2], height: cropFields[3] }
+      : { x: suggested.left, y: suggested.top, width: suggested.width, height: suggested.height };
+    const rotation = cropFields.every(Number.isFinite) ? parseFloat(fields.rotation) || 0 : 0;
+
+    const sides = await findDetailInMargin(buffer, crop, rotation, preset);
+    if (sides.length > 0) {
+      const list = sides.length > 1 ? `${sides.slice(0, -1).join(', ')} and ${sides.at(-1)} edges` : `${sides[0]} edge`;
+      report.findings.push({
+        code: 'detail-in-margin',
+        severity: 'warning',
+        message: `Text or other fine detail near the ${list}, within ${preset.guides.safe} cm of the print edge where it may be lost`,
+        sides,
+      });
+      report.findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+    }
+  }
+
+  return { ...report, suggestedCrop };
+};
+
+// Resize to width x height following an upscale plan (see getUpscalePlan).
+// sharp resizes once per pipeline, so every step but the last is written out
+// and read back in.
+const resizeForPrint = async (pipeline, width, height, factor, plan, onProgress) => {
+  let current = pipeline;
+  for (let step = 1; step < plan.steps; step++) {
+    onProgress(20 + (40 * step) / plan.steps);
+    // Equal scale per step, e.g. 3x as 1.73x twice
+    const scale = Math.pow(factor, (step - plan.steps) / plan.steps);
+    let resized = current.resize(Math.round(width * scale), Math.round(height * scale), {
+      fit: 'fill',
+      kernel: 'lanczos3',
+    });
+    // Denoise after the first step, before the noise is enlarged any further
+    if (plan.denoise && step === 1) resized = resized.median(3);
+    current = sharp(await resized.png({ compressionLevel: 0 }).toBuffer());
+  }
+
+  current = current.resize(width, height, {
+    fit: 'fill',
+    withoutEnlargement: false,
+    kernel: 'lanczos3',  // High-quality resampling
+  });
+  return plan.sharpen ? current.sharpen(plan.sharpen) : current;
+};
+
+// Encoder for each output format; lossless ones ignore the quality
+const ENCODERS = {
+  jpeg: (image, quality) => image.jpeg({ quality, mozjpeg: true }), // mozjpeg compresses better at the same quality
+  png: (image) => image.png({ compressionLevel: 9 }),
+  webp: (image, quality) => image.webp({ quality }),
+  avif: (image, quality) => image.avif({ quality }),
+  tiff: (image) => image.tiff({ compression: 'lzw' }),
+};
+
+// Text and logo layers from the `overlays` field (see src/overlays.js)
+const readOverlays = (fields) => {
+  if (!fields.overlays) return [];
+  try {
+    return normaliseOverlays(fields.overlays);
+  } catch (error) {
+    throw new ApiError(400, 'INVALID_REQUEST', error.message);
+  }
+};
+
+// Colour adjustments from their form fields (see src/adjustments.js)
+const readAdjustments = (fields) => {
+  try {
+    return normaliseAdjustments(fields);
+  } catch (error) {
+    throw new ApiError(400, 'INVALID_REQUEST', error.message);
+  }
+};
+
+// Apply colour adjustments to raw pixels. sharp runs the operations of one
+// pipeline in its own order (gamma before linear), so each step is a pass of
+// its own, in the order the editor previews them.
+const adjustPrint = async (pixels, info, adjustments) => {
+  const { slopes, intercept, saturation, gamma } = getAdjustmentSteps(adjustments);
+  const passes = [
+    (slopes.some((slope) => slope !== 1) || intercept !== 0) &&
+      ((image) => image.linear(slopes, slopes.map(() => intercept))),
+    // The luma-weighted matrix the preview and the browser worker use
+    saturation !== 1 && ((image) => image.recomb(getSaturationMatrix(saturation))),
+    // gamma(a, b) raises the pixels to a / b; both must be from 1 to 3
+    gamma !== 1 && ((image) => (gamma > 1 ? image.gamma(1, gamma) : image.gamma(1 / gamma, 1))),
+  ].filter(Boolean);
+
+  let result = { data: pixels, info };
+  for (const pass of passes) {
+    result = await pass(sharp(result.data, { raw: result.info })).raw().toBuffer({ resolveWithObject: true });
+  }
+  return result;
+};
+
+// Reject processing options we don't know, before any work is done
+export const validateFields = (fields) => {
+  readOverlays(fields);
+  readAdjustments(fields);
+  if (fields.format && !OUTPUT_FORMATS[fields.format]) {
+    throw new ApiError(400, 'INVALID_REQUEST', `Unknown format: ${fields.format}`);
+  }
+  if (fields.quality !== undefined && fields.quality !== '') {
+    const quality = Number(fields.quality);
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      throw new ApiError(400, 'INVALID_REQUEST', 'Quality must be a whole number from 1 to 100');
+    }
+  }
+  if (fields.maxSizeMb !== undefined && fields.maxSizeMb !== '' && !(Number(fields.maxSizeMb) > 0)) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'Max size must be a positive number of MB');
+  }
+  if (fields.mode && !FILL_MODES.includes(fields.mode)) {
+    throw new ApiError(400, 'INVALID_REQUEST', `Unknown mode: ${fields.mode}`);
+  }
+  if (fields.upscale && !UPSCALE_STRATEGIES.includes(fields.upscale)) {
+    throw new ApiError(400, 'INVALID_REQUEST', `Unknown upscale strategy: ${fields.upscale}`);
+  }
+  if (fields.focus && !CROP_STRATEGIES.includes(fields.focus)) {
+    throw new ApiError(400, 'INVALID_REQUEST', `Unknown focus strategy: ${fields.focus}`);
+  }
+  const crop = ['cropX', 'cropY', 'cropWidth', 'cropHeight'].map((field) => fields[field]).filter((value) => value !== undefined && value !== '');
+  if (crop.length > 0) {
+    const [x, y, width, height] = crop.map(Number);
+    // Fractions of the rotated image, so the rectangle has to stay inside it
+    if (crop.length < 4 || !(x >= 0 && y >= 0 && width > 0 && height > 0 && x + width <= 1 + 1e-9 && y + height <= 1 + 1e-9)) {
+      throw new ApiError(400, 'INVALID_REQUEST', 'A crop needs cropX, cropY, cropWidth and cropHeight, each from 0 to 1 and inside the image');
+    }
+  }
+  const focus = [fields.focusX, fields.focusY].filter((value) => value !== undefined && value !== '');
+  if (focus.length > 0 && (focus.length < 2 || !focus.every((value) => Number(value) >= 0 && Number(value) <= 1))) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'A focal point needs focusX and focusY, each from 0 to 1');
+  }
+};
+
+// Work out which part of the rotated image becomes the print. `fields` carry
+// the crop rectangle from the crop editor, a focal point (focusX/focusY as
+// fractions of the upright image) to center the largest crop on, or a center
+// point from older clients.
+const getCropRect = (fields, imageWidth, imageHeight, bounds, preset) => {
+  const cropFields = ['cropX', 'cropY', 'cropWidth', 'cropHeight'].map((field) => parseFloat(fields[field]));
+  if (cropFields.every(Number.isFinite)) {
+    // The crop editor sends its rectangle as fractions of the rotated image
+    const [x, y, width, height] = cropFields;
+    const crop = {
+      left: x * bounds.width,
+      top: y * bounds.height,
+      width: width * bounds.width,
+      height: height * bounds.height,
+    };
+    const orientation = getOrientation(crop.width, crop.height, preset);
+    // Anything but the preset ratio would be stretched to the output size.
+    // Allow a pixel either way on each side for rounding.
+    const [long, short] = orientation === 'vertical' ? [crop.height, crop.width] : [crop.width, crop.height];
+    if (Math.abs(long / short - preset.ratio) > (preset.ratio + 1) / short) {
+      throw new ApiError(400, 'INVALID_REQUEST',
+        `Crop is ${Math.round(crop.width)}x${Math.round(crop.height)}, not the ${Number(preset.ratio.toFixed(2))}:1 of ${preset.label}`);
+    }
+    return { ...crop, orientation };
+  }
+
+  const focusX = parseFloat(fields.focusX);
+  const focusY = parseFloat(fields.focusY);
+  if (Number.isFinite(focusX) && Number.isFinite(focusY)) {
+    // The same crop the crop editor shows for this center at zoom 1
+    const rotation = parseFloat(fields.rotation) || 0;
+    return calculateEditorCrop(imageWidth, imageHeight, { center: { x: focusX, y: focusY }, rotation }, preset);
+  }
+
+  // Older clients send a center point normalized to the preview container,
+  // which letterboxes the image (objectFit: contain). Map it back to image
+  // pixels; fall back to the middle of the image when no point was sent.
+  const centerX = parseFloat(fields.centerX);
+  const centerY = parseFloat(fields.centerY);
+  const containerAspect = parseFloat(fields.containerAspect) || 0.75; // Preview box is 4:3
+  const center = Number.isFinite(centerX) && Number.isFinite(centerY)
+    ? containerPointToImage({ x: centerX, y: centerY }, imageWidth, imageHeight, containerAspect)
+    : { x: imageWidth / 2, y: imageHeight / 2 };
+  log('Center point in image pixels:', Math.round(center.x), Math.round(center.y));
+  return calculateCrop(imageWidth, imageHeight, center.x, center.y, preset);
+};
+
+// The print's geometry for the fields, on the upright imageWidth x imageHeight
+// image: the editor rotation, the rotated image's bounds and, in crop mode, the
+// pixel rectangle to cut from them, otherwise where the whole image sits in the
+// output (`fill`), plus the output size and the scale factor. Once getCropRect
+// has settled the crop, this is the browser worker's getPrintGeometry.
+export const getPrintLayout = (fields, imageWidth, imageHeight, preset) => {
+  if ((fields.mode || 'crop') !== 'crop') {
+    return getPrintGeometry(imageWidth, imageHeight, fields, preset);
+  }
+  const bounds = getRotatedBounds(imageWidth, imageHeight, parseFloat(fields.rotation) || 0);
+  const crop = getCropRect(fields, imageWidth, imageHeight, bounds, preset);
+  return getPrintGeometry(imageWidth, imageHeight, {
+    ...fields,
+    cropX: crop.left / bounds.width,
+    cropY: crop.top / bounds.height,
+    cropWidth: crop.width / bounds.width,
+    cropHeight: crop.height / bounds.height,
+  }, preset);
+};
+
+// Steps 0-3 of processImage: the print as raw 8-bit sRGB pixels, with what
+// was done to get there
+const renderPrint = async (buffer, fields, preset, onProgress) => {
+  const metadata = await readImage(buffer);
+  log('Image metadata:', metadata);
+  onProgress(10);
+
+  const mode = fields.mode || 'crop';
+  const background = /^#[0-9a-f]{6}$/i.test(fields.background) ? fields.background : '#ffffff';
+  const strategy = fields.upscale || 'auto';
+
+  // Geometry is computed on the upright image, matching what the browser shows
+  const { width: imageWidth, height: imageHeight } = getUprightSize(metadata);
+
+  // A focus strategy centers the crop on the subject it finds
+  const focus = mode === 'crop' && fields.focus && (await suggestCrop(buffer, metadata, preset, fields.focus)).center;
+  const layout = getPrintLayout(focus ? { ...fields, focusX: focus.x, focusY: focus.y } : fields,
+    imageWidth, imageHeight, preset);
+  // Clockwise rotation chosen in the crop editor
+  const { rotation, bounds, output, factor } = layout;
+
+  const iccDescription = getIccDescription(metadata.icc);
+  const conversions = getColourConversions(metadata, iccDescription);
+  log('Colour conversions:', conversions.join(', ') || 'none');
+
+  // EXIF orientation and the editor rotation are applied as one rotation, so
+  // sharp only resamples once
+  const exif = EXIF_TRANSFORMS[metadata.orientation] || EXIF_TRANSFORMS[1];
+  const angle = (((exif.angle + rotation) % 360) + 360) % 360;
+
+  // Process the image:
+  // 0. Turn the image upright and apply the editor rotation
+  // 1. Crop to the preset ratio, or scale the whole image down and fill around it
+  // 2. Then resize to final dimensions, in steps and sharpened for big enlargements
+  // 3. Normalise to 8-bit sRGB
+  // 4. Encode with an embedded ICC profile and the preset DPI, within the size budget
+  let pipeline = sharp(buffer, { limitInputPixels: IMAGE_LIMITS.maxPixels });
+  // Step 0: Mirror and rotate, filling the corners uncovered by a free rotation with white
+  if (exif.flop) pipeline = pipeline.flop();
+  if (angle !== 0) pipeline = pipeline.rotate(angle, { background: '#ffffff' });
+
+  if (mode === 'crop') {
+    const { cropRect } = layout;
+    log('Crop:', cropRect, 'rotation:', rotation);
+
+    // Rotations happen before extract(), mirroring does too unless there is
+    // no rotation at all - then mirror the crop instead
+    const extractRect = exif.flop && angle === 0
+      ? { ...cropRect, left: bounds.width - cropRect.left - cropRect.width }
+      : cropRect;
+
+    // Step 1: Crop to correct aspect ratio
+    pipeline = pipeline.extract(extractRect);
+    // Step 2: Resize to final dimensions
+    pipeline = await resizeForPrint(pipeline, output.width, output.height, factor, getUpscalePlan(factor, strategy), onProgress);
+  } else {
+    const { fill } = layout;
+    const padding = {
+      left: fill.left,
+      top: fill.top,
+      right: output.width - fill.width - fill.left,
+      bottom: output.height - fill.height - fill.top,
+    };
+    log('Fill:', mode, fill, 'rotation:', rotation);
+
+    // Steps 1 and 2: Resize the whole image to fit inside the output
+    pipeline = await resizeForPrint(pipeline, fill.width, fill.height, factor, getUpscalePlan(factor, strategy), onProgress);
+
+    if (mode === 'pad') {
+      pipeline = pipeline.extend({ ...padding, background });
+    } else if (mode === 'mirror') {
+      pipeline = pipeline.extend({ ...padding, extendWith: 'mirror' });
+    } else {
+      // Blurred copy of the image covering the whole output, with the image on top
+      const foreground = await pipeline.png().toBuffer();
+      pipeline = sharp(foreground)
+        .resize(output.width, output.height, { fit: 'cover' })
+        .blur(Math.max(output.width, output.height) / 100)
+        .composite([{ input: foreground, left: fill.left, top: fill.top }]);
+    }
+  }
+
+  onProgress(60);
+  let { data: pixels, info } = await pipeline
+    // Step 3: Prints have no transparency, so fill it with white before dropping alpha
+    .flatten({ background: '#ffffff' })
+    .toColourspace('srgb')  // 8 bits per channel RGB, converting CMYK and greyscale
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  onProgress(80);
+
+  // Step 3a: Colour adjustments, on the print as it will be encoded
+  const adjustments = readAdjustments(fields);
+  if (hasAdjustments(adjustments)) {
+    ({ data: pixels, info } = await adjustPrint(pixels, info, adjustments));
+    log('Adjustments:', JSON.stringify(adjustments));
+  }
+
+  // Step 3b: Draw text and logo layers at the output resolution, so they stay
+  // crisp however far the image itself was upscaled
+  const overlays = readOverlays(fields);
+  if (overlays.length > 0) {
+    const svg = getOverlaySvg(overlays, info.width, info.height);
+    ({ data: pixels, info } = await sharp(pixels, { raw: info })
+      .composite([{ input: Buffer.from(svg) }])
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true }));
+    log('Overlays:', overlays.map((layer) => layer.type).join(', '));
+  }
+
+  const { strategy: upscaleStrategy } = getUpscalePlan(factor, strategy);
+  const effectiveDpi = getEffectiveDpi(factor, preset);
+  log(`Upscaled ${factor.toFixed(2)}x (${upscaleStrategy}), about ${effectiveDpi} DPI`);
+
+  return {
+    pixels,
+    info,
+    conversions,
+    iccDescription,
+    upscale: { factor, strategy: upscaleStrategy, effectiveDpi },
+  };
+};
+
+// Step 4 of processImage: encode raw pixels in the requested format with an
+// embedded sRGB profile and the print DPI, within the size budget if any.
+// The pixels are upright by now.
+const encodePrint = async (pixels, info, fields, preset) => {
+  const format = fields.format || DEFAULT_OUTPUT_FORMAT;
+  const quality = parseInt(fields.quality, 10) || OUTPUT_FORMATS[format].quality;
+  const maxBytes = parseFloat(fields.maxSizeMb) * 1024 * 1024 || null;
+
+  // The pixels are kept raw so the size budget search can encode them repeatedly
+  const encode = (encodeQuality) => {
+    const image = sharp(pixels, { raw: { width: info.width, height: info.height, channels: info.channels } })
+      .withMetadata({ icc: 'srgb', density: preset.dpi, orientation: 1 });
+    return ENCODERS[format](image, encodeQuality).toBuffer();
+  };
+  let encoded;
+  if (maxBytes && quality) {
+    encoded = await findQualityForBudget(encode, maxBytes, quality);
+  } else {
+    const data = await encode(quality);
+    // Lossless formats can't be squeezed, they either fit the budget or not
+    encoded = { quality, data, fits: maxBytes ? data.length <= maxBytes : null };
+  }
+  log(`Encoded ${format}`, encoded.quality ? `at quality ${encoded.quality}:` : 'losslessly:', formatFileSize(encoded.data.length));
+
+  return {
+    buffer: encoded.data,
+    // budgetMet is null without a budget
+    output: { format, quality: encoded.quality, size: encoded.data.length, budgetMet: encoded.fits },
+  };
+};
+
+// Crop or fill, resize and colour-convert an image for a preset. `fields` are
+// the form fields of a /process-image request: mode and fill colour, upscale
+// strategy, rotation, the crop rectangle or focal point (see getCropRect) or
+// a `focus` strategy from CROP_STRATEGIES to find one, and the output format
+// with its quality or a size budget in MB.
+// `onProgress` is called with a rough percentage as the work goes on.
+export const processImage = async (buffer, fields, preset, onProgress = () => {}) => {
+  validateFields(fields);
+  const { pixels, info, ...print } = await renderPrint(buffer, fields, preset, onProgress);
+  const encoded = await encodePrint(pixels, info, fields, preset);
+  onProgress(100);
+  return { ...encoded, ...print };
+};
+
+// Crop one picture across the plates of a multi-panel layout (see
+// getPanelPlan), each one a full print for the preset. `fields` are those of
+// processImage plus the `layout` key of PANEL_LAYOUTS and the `gap` between
+// plates in cm; a size budget applies to each panel. Resolves to the panels
+// in reading order, each with its position in the picture and its encoded
+// file, and what was done to the picture.
+export const processSplit = async (buffer, fields, preset, onProgress = () => {}) => {
+  validateFields(fields);
+  if (!PANEL_LAYOUTS[fields.layout]) {
+    throw new ApiError(400, 'INVALID_REQUEST', `Unknown panel layout: ${fields.layout}`);
+  }
+  if (fields.mode && fields.mode !== 'crop') {
+    throw new ApiError(400, 'INVALID_REQUEST', 'Panels can only be cropped, not filled');
+  }
+  const gap = fields.gap === undefined || fields.gap === '' ? DEFAULT_PANEL_GAP : Number(fields.gap);
+  if (!(gap >= 0 && gap <= MAX_PANEL_GAP)) {
+    throw new ApiError(400, 'INVALID_REQUEST', `Gap must be from 0 to ${MAX_PANEL_GAP} cm`);
+  }
+
+  const plan = getPanelPlan(fields.layout, gap, preset);
+  log('Panels:', fields.layout, plan.panels.length, 'x', plan.panels[0].width, 'x', plan.panels[0].height, `gap ${gap} cm`);
+  const { pixels, info, ...print } = await renderPrint(buffer, fields, plan.picture, (progress) => onProgress(progress * 0.8));
+
+  const panels = [];
+  for (const rect of plan.panels) {
+    const panel = await sharp(pixels, { raw: { width: info.width, height: info.height, channels: info.channels } })
+      .extract(rect)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    panels.push({ rect, ...await encodePrint(panel.data, panel.info, fields, preset) });
+    onProgress(80 + (20 * panels.length) / plan.panels.length);
+  }
+  return { panels, ...print };
+};
+
+const toSvgPoints = (points) => points.map(({ x, y }) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+
+// Wall mockup of an image as a JPEG, drawn like drawMockup in src/canvas.js
+// but as an SVG that sharp rasterises. `options` are the room, frame and
+// reference fields of POST /mockup.
+export const renderMockup = async (buffer, options, preset) => {
+  if (options.room && !MOCKUP_ROOMS[options.room]) {
+    throw new ApiError(400, 'INVALID_REQUEST', `Unknown room: ${options.room}`);
+  }
+  if (options.frame && !MOCKUP_FRAMES[options.frame]) {
+    throw new ApiError(400, 'INVALID_REQUEST', `Unknown frame: ${options.frame}`);
+  }
+  if (options.reference && !['room', 'none', ...Object.keys(REFERENCE_OBJECTS)].includes(options.reference)) {
+    throw new ApiError(400, 'INVALID_REQUEST', `Unknown reference: ${options.reference}`);
+  }
+
+  const metadata = await readImage(buffer);
+  const upright = getUprightSize(metadata);
+  const layout = getMockupLayout(upright.width, upright.height, options, preset);
+
+  // The plate only needs as many pixels as it covers in the mockup; images
+  // that aren't print-ready yet are cropped to the plate's shape
+  const plateWidth = Math.ceil(layout.strips.reduce((sum, strip) => sum + strip.width, 0));
+  const plateHeight = Math.ceil(Math.max(...layout.strips.map((strip) => strip.height)));
+  const plate = await sharp(buffer, { limitInputPixels: IMAGE_LIMITS.maxPixels })
+    .rotate()
+    .resize(plateWidth, plateHeight, { fit: 'cover' })
+    .flatten({ background: '#ffffff' })
+    .toColourspace('srgb')
+    .jpeg({ quality: 90 })
+    .toBuffer();
+
+  // Each strip shows its slice of the plate, stretched to the strip's height
+  const strips = layout.strips.map((strip, i) => {
+    const scaleX = strip.width / ((strip.u1 - strip.u0) * plateWidth);
+    const scaleY = strip.height / plateHeight;
+    return `<clipPath id="strip${i}"><rect x="${strip.x}" y="${strip.y}" width="${strip.width + 0.5}" height="${strip.height}"/></clipPath>
+      <g clip-path="url(#strip${i})"><use href="#plate"
+        transform="translate(${strip.x - strip.u0 * plateWidth * scaleX} ${strip.y}) scale(${scaleX} ${scaleY})"/></g>`;
+  });
+  const xs = layout.inner.map((point) => point.x);
+  const ys = layout.inner.map((point) => point.y);
+  const { shadow, silhouette } = layout;
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg"
+    width="${MOCKUP_SIZE.width}" height="${MOCKUP_SIZE.height}">
+    <defs>
+      <image id="plate" width="${plateWidth}" height="${plateHeight}" preserveAspectRatio="none"
+        href="data:image/jpeg;base64,${plate.toString('base64')}"/>
+      <linearGradient id="wallLight" x1="0" y1="0" x2="0" y2="1">
+        <stop offset="0" stop-color="#ffffff" stop-opacity="0.12"/>
+        <stop offset="1" stop-color="#000000" stop-opacity="0.12"/>
+      </linearGradient>
+      <linearGradient id="sheen" gradientUnits="userSpaceOnUse"
+        x1="${Math.min(...xs)}" y1="${Math.min(...ys)}" x2="${Math.max(...xs)}" y2="${Math.max(...ys)}">
+        ${SHEEN_STOPS.map(({ offset, opacity }) => `<stop offset="${offset}" stop-color="#ffffff" stop-opacity="${opacity}"/>`).join('')}
+      </linearGradient>
+      <filter id="shadow" x="-20%" y="-20%" width="140%" height="140%">
+        <feGaussianBlur stdDeviation="${shadow.blur / 2}"/>
+      </filter>
+    </defs>
+    <rect width="100%" height="100%" fill="${layout.room.floor}"/>
+    <polygon points="${toSvgPoints(layout.wall)}" fill="${layout.room.wall}"/>
+    <polygon points="${toSvgPoints(layout.wall)}" fill="url(#wallLight)"/>
+    <polygon points="${toSvgPoints(layout.baseboard)}" fill="#000000" fill-opacity="0.15"/>
+    ${silhouette ? `<path d="${silhouette.path}" fill="#000000" fill-opacity="0.55"
+      transform="translate(${silhouette.x} ${silhouette.y}) scale(${silhouette.scaleX} ${silhouette.scaleY})"/>` : ''}
+    <polygon points="${toSvgPoints(layout.outer)}" fill="#000000" fill-opacity="0.4" filter="url(#shadow)"
+      transform="translate(${shadow.x} ${shadow.y})"/>
+    <polygon points="${toSvgPoints(layout.outer)}" fill="${layout.frame.colour || '#808080'}"/>
+    ${strips.join('\n')}
+    <polygon points="${toSvgPoints(layout.inner)}" fill="url(#sheen)"/>
+  </svg>`;
+
+  return sharp(Buffer.from(svg)).flatten().jpeg({ quality: 90 }).toBuffer();
+};
+
+// File name for a processed image, derived from the uploaded file's name.
+// `suffix` tells apart several files made from one image, like panels.
+export const getOutputName = (originalName, preset, format, usedNames, suffix = '') => {
+  const base = (originalName || '').replace(/\.[^.]*$/, '').replace(/[^\w.-]+/g, '_') || 'image';
+  const { extension } = OUTPUT_FORMATS[format || DEFAULT_OUTPUT_FORMAT];
+  let name = `${base}-${preset.id}${suffix}.${extension}`;
+  for (let i = 2; usedNames.has(name); i++) {
+    name = `${base}-${preset.id}${suffix}-${i}.${extension}`;
+  }
+  usedNames.add(name);
+  return name;
+};
@@ -0,0 +1,140 @@
+// Download an image from a URL for POST /fetch-image. The URL comes from the
+// user, so it must not reach the server's own network (SSRF): every address a
+// host resolves to is checked as the connection is made, which also covers
+// redirects and DNS answers that change between a check and the request.
+//
+//   const { buffer, type, name } = await fetchRemoteImage(url, { maxBytes: 100 * 1024 * 1024 });
+import http from 'node:http';
+import https from 'node:https';
+import dns from 'node:dns';
+import net from 'node:net';
+import path from 'node:path';
+import { Buffer } from 'node:buffer';
+import { ApiError } from './pipeline.js';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 3;
+const REDIRECTS = [301, 302, 303, 307, 308];
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and
+// reserved ranges. BlockList matches IPv4-mapped IPv6 addresses to the IPv4
+// rules as well.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const notAllowed = (host) => new ApiError(400, 'URL_NOT_ALLOWED', `${host} is on a private network`);
+
+// dns.lookup for http.request that refuses private addresses. Node calls it
+// for host names only, so IP addresses in URLs are checked in checkUrl.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) return callback(notAllowed(hostname));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const checkUrl = (url, allowPrivate) => {
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new ApiError(400, 'INVALID_URL', 'Only http and https URLs can be imported');
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (!allowPrivate && net.isIP(host) && isPrivateAddress(host)) throw notAllowed(host);
+};
+
+const get = (url, signal, allowPrivate) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+  client.get(url, {
+    signal,
+    lookup: allowPrivate ? undefined : publicLookup,
+    headers: { accept: 'image/*', 'user-agent': 'displater' },
+  }, resolve).on('error', reject);
+});
+
+// A file name for the image, from the last part of its URL
+const getName = (url) => {
+  let name = '';
+  try {
+    name = path.posix.basename(decodeURIComponent(url.pathname));
+  } catch {
+    // Not valid percent-encoding; fall back to the default
+  }
+  return name || 'image';
+};
+
+const download = async (address, { maxBytes, allowPrivate, signal }) => {
+  let url;
+  try {
+    url = new URL(address);
+  } catch {
+    throw new ApiError(400, 'INVALID_URL', `Not a URL: ${address}`);
+  }
+
+  for (let redirects = 0; ; redirects++) {
+    checkUrl(url, allowPrivate);
+    const response = await get(url, signal, allowPrivate);
+    const { statusCode, headers } = response;
+
+    if (REDIRECTS.includes(statusCode) && headers.location) {
+      response.resume();
+      if (redirects >= MAX_REDIRECTS) throw new ApiError(502, 'URL_FETCH_FAILED', 'The URL redirects too many times');
+      url = new URL(headers.location, url);
+      continue;
+    }
+    if (statusCode !== 200) {
+      response.resume();
+      throw new ApiError(502, 'URL_FETCH_FAILED', `The URL answered with HTTP ${statusCode}`);
+    }
+
+    // Only a first filter on what the other server claims; readImage checks the bytes
+    const type = (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!type.startsWith('image/')) {
+      response.destroy();
+      throw new ApiError(415, 'UNSUPPORTED_FORMAT', `The URL isn't an image (${type || 'no content type'})`);
+    }
+    const tooLarge = new ApiError(413, 'FILE_TOO_LARGE', `Images can be at most ${maxBytes / 1024 / 1024} MB`);
+    if (Number(headers['content-length']) > maxBytes) {
+      response.destroy();
+      throw tooLarge;
+    }
+
+    // Content-Length may be missing or wrong, so count as it arrives
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        response.destroy();
+        throw tooLarge;
+      }
+      chunks.push(chunk);
+    }
+    return { buffer: Buffer.concat(chunks), type, name: getName(url) };
+  }
+};
+
+// Download the image at `address`, following a few redirects. Throws ApiError
+// for URLs that aren't allowed, aren't images, are too large or too slow, or
+// fail. `allowPrivate` turns off the private network check, for testing
+// against a local server.
+export const fetchRemoteImage = async (address, { maxBytes, timeoutMs = DEFAULT_TIMEOUT_MS, allowPrivate = false }) => {
+  const signal = AbortSignal.timeout(timeoutMs);
+  try {
+    return await download(address, { maxBytes, allowPrivate, signal });
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    if (signal.aborted) {
+      throw new ApiError(504, 'URL_TIMEOUT', `The URL took longer than ${timeoutMs / 1000} seconds`);
+    }
+    throw new ApiError(502, 'URL_FETCH_FAILED', `Couldn't download the URL: ${error.message}`);
+  }
+};
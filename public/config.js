@@ -0,0 +1,9 @@
+// Runtime configuration, loaded before the app. Edit this file in a built
+// copy of the app to point it at your own server without rebuilding:
+//
+//   window.APP_CONFIG = { apiBase: 'https://images.example.com' };
+//
+// Leave apiBase empty to use VITE_API_BASE from the build, or the default.
+window.APP_CONFIG = {
+  apiBase: '',
+};
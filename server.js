@@ -2,9 +2,116 @@ import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
 import sharp from 'sharp';
+import archiver from 'archiver';
+import { randomUUID } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import process from 'node:process';
+import { FILL_MODES } from './src/geometry.js';
+import { DEFAULT_PRESET, PRESETS } from './src/presets.js';
+import { UPSCALE_STRATEGIES } from './src/upscale.js';
+import { OUTPUT_FORMATS } from './src/formats.js';
+import { PANEL_LAYOUTS } from './src/panels.js';
+import { ADJUSTMENTS } from './src/adjustments.js';
+import { OVERLAY_TYPES } from './src/overlays.js';
+import {
+  ApiError, IMAGE_LIMITS, analyze, getOutputName, processImage, processSplit, renderMockup,
+  resolvePreset, validateFields,
+} from './lib/pipeline.js';
+import { fetchRemoteImage } from './lib/remote.js';
+
+const { version } = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+
+// Upload limits, adjustable when self-hosting, plus the pipeline's image
+// limits (see lib/pipeline.js)
+const LIMITS = {
+  maxFileSize: (parseInt(process.env.MAX_FILE_SIZE_MB, 10) || 100) * 1024 * 1024,
+  maxBatchFiles: parseInt(process.env.MAX_BATCH_FILES, 10) || 50,
+  // How long importing an image from a URL may take
+  urlTimeout: (parseInt(process.env.URL_TIMEOUT_SECONDS, 10) || 15) * 1000,
+  ...IMAGE_LIMITS,
+};
+
+// Lets URL imports reach localhost and private networks. Only for testing
+// against a local server; never set it on a public instance.
+const ALLOW_PRIVATE_URLS = process.env.ALLOW_PRIVATE_URLS === 'true';
+
+// How much image work runs at once. Every job decodes a full image, so a
+// small instance should process one or two at a time and queue the rest.
+const PROCESSING = {
+  concurrency: parseInt(process.env.PROCESSING_CONCURRENCY, 10) || 1,
+  maxQueued: parseInt(process.env.MAX_QUEUED_JOBS, 10) || 20,
+  // How long a finished job's result can be downloaded
+  jobTtl: (parseInt(process.env.JOB_TTL_MINUTES, 10) || 10) * 60 * 1000,
+  // How many finished jobs keep their result in memory at once
+  maxResults: parseInt(process.env.MAX_JOB_RESULTS, 10) || 10,
+};
+
+// libvips caches operations and uses a thread per core by default; both
+// cost memory we'd rather spend on the images in the queue
+sharp.cache({ memory: parseInt(process.env.SHARP_CACHE_MB, 10) || 50, files: 0, items: 20 });
+if (process.env.SHARP_THREADS) sharp.concurrency(parseInt(process.env.SHARP_THREADS, 10));
+
+// Runs async tasks in order, at most `concurrency` at a time. Tasks added
+// with `wait` while the queue is full are held back until it has room.
+const createQueue = (concurrency) => {
+  const waiting = [];
+  const held = [];
+  let running = 0;
+
+  const runNext = () => {
+    while (running < concurrency && waiting.length > 0) {
+      const { task, resolve, reject } = waiting.shift();
+      running++;
+      task().then(resolve, reject).finally(() => {
+        running--;
+        runNext();
+      });
+    }
+    while (held.length > 0 && waiting.length < PROCESSING.maxQueued) {
+      waiting.push(held.shift());
+    }
+  };
+
+  return {
+    get waiting() {
+      return waiting.length;
+    },
+    // Resolves with the task's result once it has had its turn. Throws
+    // SERVER_BUSY when the queue is full, unless `wait` is set.
+    add: (task, { wait = false } = {}) => {
+      if (waiting.length >= PROCESSING.maxQueued && !wait) {
+        throw new ApiError(429, 'SERVER_BUSY', 'Too many images are waiting to be processed');
+      }
+      return new Promise((resolve, reject) => {
+        (waiting.length < PROCESSING.maxQueued ? waiting : held).push({ task, resolve, reject });
+        runNext();
+      });
+    },
+  };
+};
+
+const processingQueue = createQueue(PROCESSING.concurrency);
 
 const app = express();
-const upload = multer();
+const upload = multer({
+  // Overlay logos come as data URLs inside the overlays field
+  limits: { fileSize: LIMITS.maxFileSize, fieldSize: LIMITS.maxFileSize },
+  // Only a first filter on what the client claims; readImage checks the bytes
+  fileFilter: (req, file, callback) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/octet-stream') {
+      callback(null, true);
+    } else {
+      callback(new ApiError(415, 'UNSUPPORTED_FORMAT', `Unsupported file type: ${file.mimetype}`));
+    }
+  },
+});
+
+// Custom response headers the browser is allowed to read
+const EXPOSED_HEADERS = [
+  'X-Colour-Conversions', 'X-Source-Icc-Profile', 'X-Source-Name', 'X-Output-Dpi', 'X-Batch-Job', 'X-Panel-Files',
+  'X-Upscale-Factor', 'X-Upscale-Strategy', 'X-Effective-Dpi',
+  'X-Output-Format', 'X-Output-Quality', 'X-Output-Size', 'X-Size-Budget-Met',
+];
 
 // Enable CORS with more permissive settings
 app.use(cors());  // Allow all origins by default
@@ -19,103 +126,421 @@ app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
   res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.header('Access-Control-Expose-Headers', EXPOSED_HEADERS.join(', '));
   next();
 });
 
-// Basic error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({ error: 'Internal server error' });
-});
-
 // Add a test endpoint
 app.get('/', (req, res) => {
   res.json({ message: 'Server is running' });
 });
 
-app.post('/process-image', upload.single('image'), async (req, res) => {
+// sharp's name for the encoder of each output format
+const SHARP_ENCODERS = { avif: 'heif' };
+
+// What this server supports, so the UI can check it on load. The UI turns
+// off every option `features` doesn't list.
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    version,
+    presets: PRESETS.map((preset) => preset.id),
+    defaultPreset: DEFAULT_PRESET.id,
+    features: {
+      modes: FILL_MODES,
+      upscaleStrategies: UPSCALE_STRATEGIES,
+      batch: true,
+      urlImport: true,
+      panelLayouts: Object.keys(PANEL_LAYOUTS),
+      overlays: OVERLAY_TYPES,
+      adjustments: Object.keys(ADJUSTMENTS),
+      // Formats this build of libvips can encode
+      outputFormats: Object.keys(OUTPUT_FORMATS)
+        .filter((format) => sharp.format[SHARP_ENCODERS[format] || format]?.output.buffer),
+    },
+    limits: { ...LIMITS, concurrency: PROCESSING.concurrency, maxQueuedJobs: PROCESSING.maxQueued },
+    // Formats sharp can decode from an upload
+    formats: Object.keys(sharp.format).filter((format) => format !== 'raw' && sharp.format[format].input.buffer),
+    sharp: sharp.versions.sharp,
+    libvips: sharp.versions.vips,
+  });
+});
+
+// Product presets the client can pick from
+app.get('/presets', (req, res) => {
+  res.json({ presets: PRESETS, defaultPreset: DEFAULT_PRESET.id });
+});
+
+// Validation report for an uploaded image, without processing it, with a
+// suggested crop. Takes the fields described at analyze() in lib/pipeline.js.
+app.post('/analyze', upload.single('image'), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new ApiError(400, 'NO_FILE', 'No image file provided');
+    }
+
+    const preset = resolvePreset(req.body.preset);
+    // Decoding and scanning a large image costs as much as processing it
+    const report = await processingQueue.add(() => analyze(req.file.buffer, req.body, preset));
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download an image from a URL for the editor, which then uploads it like a
+// file. Browsers can't fetch most image URLs themselves because of CORS.
+app.post('/fetch-image', express.json(), async (req, res, next) => {
+  try {
+    if (typeof req.body?.url !== 'string' || !req.body.url.trim()) {
+      throw new ApiError(400, 'INVALID_URL', 'No URL provided');
+    }
+
+    const image = await fetchRemoteImage(req.body.url.trim(), {
+      maxBytes: LIMITS.maxFileSize,
+      timeoutMs: LIMITS.urlTimeout,
+      allowPrivate: ALLOW_PRIVATE_URLS,
+    });
+    console.log(`Fetched ${image.name} (${image.type}, ${image.buffer.length} bytes)`);
+    res.set('Content-Type', image.type);
+    res.set('X-Source-Name', encodeURIComponent(image.name));
+    res.send(image.buffer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Describe a processImage result in response headers
+const setResultHeaders = (res, result, preset) => {
+  res.set('Content-Type', OUTPUT_FORMATS[result.output.format].mimeType);
+  res.set('X-Output-Format', result.output.format);
+  res.set('X-Output-Quality', result.output.quality ? String(result.output.quality) : 'lossless');
+  res.set('X-Output-Size', String(result.output.size));
+  if (result.output.budgetMet !== null) res.set('X-Size-Budget-Met', String(result.output.budgetMet));
+  res.set('X-Colour-Conversions', result.conversions.join(','));
+  // Header values must be plain ASCII
+  res.set('X-Source-Icc-Profile', (result.iccDescription || 'none').replace(/[^\x20-\x7e]/g, '?'));
+  res.set('X-Output-Dpi', String(preset.dpi));
+  res.set('X-Upscale-Factor', result.upscale.factor.toFixed(2));
+  res.set('X-Upscale-Strategy', result.upscale.strategy);
+  res.set('X-Effective-Dpi', String(result.upscale.effectiveDpi));
+  res.set('Access-Control-Allow-Origin', '*');  // Ensure CORS headers are set for the response
+};
+
+app.post('/process-image', upload.single('image'), async (req, res, next) => {
   try {
     console.log('Received image processing request');
     
     if (!req.file) {
       console.log('No file received');
-      return res.status(400).json({ error: 'No image file provided' });
+      throw new ApiError(400, 'NO_FILE', 'No image file provided');
     }
 
     console.log('File received:', req.file.originalname, 'Size:', req.file.size);
 
-    const buffer = req.file.buffer;
-    const metadata = await sharp(buffer).metadata();
-    console.log('Image metadata:', metadata);
-    
-    // Determine image orientation
-    const isVertical = metadata.height > metadata.width;
-    
-    // Calculate final target dimensions based on orientation
-    let finalWidth, finalHeight;
-    if (isVertical) {
-      // For vertical images: height should be 1.4 times the width
-      finalWidth = 2900;
-      finalHeight = Math.round(finalWidth * 1.4); // This will be ~4060
-    } else {
-      // For horizontal images: width should be 1.4 times the height
-      finalHeight = 2900;
-      finalWidth = Math.round(finalHeight * 1.4); // This will be ~4060
-    }
-
-    // Calculate crop dimensions to maintain proper aspect ratio
-    let cropWidth, cropHeight;
-    if (isVertical) {
-      // For vertical images, maintain 1:1.4 ratio (height = 1.4 * width)
-      if (metadata.width * 1.4 <= metadata.height) {
-        // Can use full width
-        cropWidth = metadata.width;
-        cropHeight = Math.round(cropWidth * 1.4);
-      } else {
-        // Use full height and calculate width
-        cropHeight = metadata.height;
-        cropWidth = Math.round(cropHeight / 1.4);
-      }
-    } else {
-      // For horizontal images, maintain 1.4:1 ratio (width = 1.4 * height)
-      if (metadata.height * 1.4 <= metadata.width) {
-        // Can use full height
-        cropHeight = metadata.height;
-        cropWidth = Math.round(cropHeight * 1.4);
-      } else {
-        // Use full width and calculate height
-        cropWidth = metadata.width;
-        cropHeight = Math.round(cropWidth / 1.4);
-      }
+    const preset = resolvePreset(req.body.preset);
+    console.log('Using preset:', preset.id);
+
+    const result = await processingQueue.add(() => processImage(req.file.buffer, req.body, preset));
+
+    console.log('Image processed successfully');
+    setResultHeaders(res, result, preset);
+    res.send(result.buffer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Split one image across the plates of a multi-panel set and send back a
+// ZIP with a print for each panel. Takes the /process-image fields plus the
+// `layout` (a PANEL_LAYOUTS key) and the `gap` between plates in cm.
+app.post('/process-split', upload.single('image'), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new ApiError(400, 'NO_FILE', 'No image file provided');
     }
+    const preset = resolvePreset(req.body.preset);
+    const result = await processingQueue.add(() => processSplit(req.file.buffer, req.body, preset));
+
+    const usedNames = new Set();
+    const names = result.panels.map((panel, index) =>
+      getOutputName(req.file.originalname, preset, req.body.format, usedNames, `-panel-${index + 1}`)
+    );
+    console.log('Split into', names.join(', '));
+
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', 'attachment; filename="displate-panels.zip"');
+    res.set('X-Panel-Files', names.join(','));
+    res.set('X-Colour-Conversions', result.conversions.join(','));
+    res.set('X-Output-Dpi', String(preset.dpi));
+    res.set('X-Upscale-Factor', result.upscale.factor.toFixed(2));
+    res.set('X-Upscale-Strategy', result.upscale.strategy);
+    res.set('X-Effective-Dpi', String(result.upscale.effectiveDpi));
+
+    const archive = archiver('zip', { store: true });
+    archive.on('error', (error) => {
+      console.error('Error writing ZIP:', error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+    result.panels.forEach((panel, index) => archive.append(panel.buffer, { name: names[index] }));
+    await archive.finalize();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Processing jobs by id. A job is { id, status, progress, preset, result,
+// error }, with status 'queued', 'processing', 'done' or 'failed'. Finished
+// jobs are forgotten after PROCESSING.jobTtl, once their result has been
+// downloaded, or when more than PROCESSING.maxResults results are waiting.
+// A batch is a job too, with `files` ({ name, status }) and no result: its ZIP
+// streams back from /process-batch, and the job only reports progress.
+const jobs = new Map();
+
+// Forget the oldest finished jobs while too many results are held
+const dropOldResults = () => {
+  const done = [...jobs.values()].filter((job) => job.status === 'done' && job.result);
+  for (const job of done.slice(0, Math.max(0, done.length - PROCESSING.maxResults))) {
+    jobs.delete(job.id);
+    console.log('Job result dropped:', job.id);
+  }
+};
 
-    // Calculate crop offset to center the image
-    const left = Math.round((metadata.width - cropWidth) / 2);
-    const top = Math.round((metadata.height - cropHeight) / 2);
-
-    // Process the image:
-    // 1. First crop to correct aspect ratio
-    // 2. Then resize to final dimensions with high-quality settings
-    const processedBuffer = await sharp(buffer)
-      // Step 1: Crop to correct aspect ratio
-      .extract({ left, top, width: cropWidth, height: cropHeight })
-      // Step 2: Resize to final dimensions with high-quality settings
-      .resize(finalWidth, finalHeight, {
-        fit: 'fill',
-        withoutEnlargement: false,
-        kernel: 'lanczos3',  // High-quality resampling
+// What GET /jobs/:id reports about a job
+const describeJob = (job) => {
+  const description = { id: job.id, status: job.status, progress: Math.round(job.progress) };
+  if (job.status === 'queued') {
+    // How many queued jobs are ahead; the map keeps jobs in creation order
+    description.position = 0;
+    for (const other of jobs.values()) {
+      if (other === job) break;
+      if (other.status === 'queued') description.position++;
+    }
+  }
+  if (job.status === 'failed') {
+    description.error = job.error.message;
+    description.code = job.error.code || 'PROCESSING_FAILED';
+  }
+  if (job.files) {
+    description.files = job.files;
+  }
+  return description;
+};
+
+// Start processing an image in the background; poll GET /jobs/:id for
+// progress and fetch the JPEG from GET /jobs/:id/result
+app.post('/jobs', upload.single('image'), (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new ApiError(400, 'NO_FILE', 'No image file provided');
+    }
+    const preset = resolvePreset(req.body.preset);
+    validateFields(req.body);
+
+    const job = { id: randomUUID(), status: 'queued', progress: 0, preset, result: null, error: null };
+    const finish = () => {
+      setTimeout(() => jobs.delete(job.id), PROCESSING.jobTtl).unref();
+    };
+    processingQueue
+      .add(() => {
+        job.status = 'processing';
+        return processImage(req.file.buffer, req.body, preset, (progress) => {
+          job.progress = progress;
+        });
+      })
+      .then((result) => {
+        Object.assign(job, { status: 'done', progress: 100, result });
+        console.log('Job done:', job.id);
+        dropOldResults();
       })
-      .jpeg({ quality: 100, mozjpeg: true }) // Using mozjpeg for better compression while maintaining quality
-      .toBuffer();
+      .catch((error) => {
+        Object.assign(job, { status: 'failed', error });
+        console.error('Job failed:', job.id, error.message);
+      })
+      .finally(finish);
+    // add() throws right away when the queue is full, before the job exists
+    jobs.set(job.id, job);
+    console.log('Job queued:', job.id, 'waiting:', processingQueue.waiting);
 
-    console.log('Image processed successfully');
+    res.status(202).json(describeJob(job));
+  } catch (error) {
+    next(error);
+  }
+});
+
+const findJob = (id) => {
+  const job = jobs.get(id);
+  if (!job) {
+    throw new ApiError(404, 'NOT_FOUND', `No job ${id}, it may have expired or been downloaded`);
+  }
+  return job;
+};
+
+app.get('/jobs/:id', (req, res, next) => {
+  try {
+    res.json(describeJob(findJob(req.params.id)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/jobs/:id/result', (req, res, next) => {
+  try {
+    const job = findJob(req.params.id);
+    if (job.status === 'failed') {
+      throw job.error;
+    }
+    if (job.status !== 'done') {
+      throw new ApiError(409, 'JOB_NOT_READY', `Job ${job.id} is still ${job.status}`);
+    }
+    if (!job.result) {
+      throw new ApiError(404, 'NOT_FOUND', `Job ${job.id} is a batch, its ZIP came back from /process-batch`);
+    }
+    setResultHeaders(res, job.result, job.preset);
+    // The result is only fetched once; keep it if the download breaks off
+    res.on('finish', () => jobs.delete(job.id));
+    res.send(job.result.buffer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Wall mockup of an image, usually one /process-image made. Takes the image
+// plus preset, room, frame and reference fields and returns a JPEG.
+app.post('/mockup', upload.single('image'), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new ApiError(400, 'NO_FILE', 'No image file provided');
+    }
+    const preset = resolvePreset(req.body.preset);
+    const mockup = await processingQueue.add(() => renderMockup(req.file.buffer, req.body, preset));
     res.set('Content-Type', 'image/jpeg');
-    res.set('Access-Control-Allow-Origin', '*');  // Ensure CORS headers are set for the response
-    res.send(processedBuffer);
+    res.send(mockup);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Process several images, each with its own settings, and stream back a ZIP.
+// `settings` is a JSON array with the /process-image fields for each file.
+app.post('/process-batch', upload.array('images', LIMITS.maxBatchFiles), async (req, res, next) => {
+  console.log('Received batch processing request');
+
+  let settings, presets;
+  try {
+    if (!req.files || req.files.length === 0) {
+      throw new ApiError(400, 'NO_FILE', 'No image files provided');
+    }
+
+    try {
+      settings = JSON.parse(req.body.settings || '[]');
+    } catch {
+      settings = null;
+    }
+    if (!Array.isArray(settings)) {
+      throw new ApiError(400, 'INVALID_REQUEST', 'Settings must be a JSON array');
+    }
+    const badIndex = settings.findIndex((entry) => !entry || typeof entry !== 'object' || Array.isArray(entry));
+    if (badIndex !== -1) {
+      throw new ApiError(400, 'INVALID_FIELD', `Settings for image ${badIndex + 1} must be an object of fields`);
+    }
+
+    // Check every preset and option before anything is streamed back
+    presets = req.files.map((file, index) => resolvePreset(settings[index]?.preset));
+    settings.forEach(validateFields);
   } catch (error) {
-    console.error('Error processing image:', error);
-    res.status(500).json({ error: 'Failed to process image: ' + error.message });
+    return next(error);
+  }
+
+  const usedNames = new Set();
+  const names = req.files.map((file, index) =>
+    getOutputName(file.originalname, presets[index], settings[index]?.format, usedNames)
+  );
+  console.log('Batch of', req.files.length, 'images:', names.join(', '));
+
+  // Progress is a job the client polls with GET /jobs/:id while the ZIP streams in
+  const job = {
+    id: randomUUID(),
+    status: 'processing',
+    progress: 0,
+    files: names.map((name) => ({ name, status: 'queued' })),
+    result: null,
+    error: null,
+  };
+  jobs.set(job.id, job);
+  setTimeout(() => jobs.delete(job.id), PROCESSING.jobTtl).unref();
+
+  res.set('Content-Type', 'application/zip');
+  res.set('Content-Disposition', 'attachment; filename="displate-batch.zip"');
+  res.set('X-Batch-Job', job.id);
+  res.flushHeaders();
+
+  // JPEGs don't get any smaller in a ZIP, so just store them
+  const archive = archiver('zip', { store: true });
+  archive.on('error', (error) => {
+    console.error('Error writing ZIP:', error);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+
+  // One image at a time keeps memory use flat for big batches. The batch was
+  // accepted, so its images wait for room when the queue is full.
+  const failures = [];
+  for (const [index, file] of req.files.entries()) {
+    job.files[index].status = 'processing';
+    try {
+      const { buffer } = await processingQueue.add(
+        () => processImage(file.buffer, settings[index] || {}, presets[index]),
+        { wait: true },
+      );
+      archive.append(buffer, { name: names[index] });
+      job.files[index].status = 'done';
+      console.log(`Processed ${index + 1}/${req.files.length}:`, names[index]);
+    } catch (error) {
+      console.error('Error processing', file.originalname, error);
+      failures.push(`${file.originalname}: ${error.code || 'PROCESSING_FAILED'} ${error.message}`);
+      Object.assign(job.files[index], { status: 'failed', code: error.code || 'PROCESSING_FAILED' });
+    }
+    job.progress = ((index + 1) / req.files.length) * 100;
+  }
+  if (failures.length > 0) {
+    archive.append(failures.join('\n') + '\n', { name: 'errors.txt' });
+  }
+  job.status = 'done';
+
+  await archive.finalize();
+});
+
+app.use((req, res) => {
+  res.status(404).json({ error: `Not found: ${req.method} ${req.path}`, code: 'NOT_FOUND' });
+});
+
+// Turn every error into the JSON error schema. Registered after the routes,
+// which pass their errors on with next().
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: [413, 'FILE_TOO_LARGE', `Files can be at most ${LIMITS.maxFileSize / 1024 / 1024} MB`],
+  LIMIT_FILE_COUNT: [413, 'TOO_MANY_FILES', `A batch can have at most ${LIMITS.maxBatchFiles} images`],
+  LIMIT_FIELD_VALUE: [413, 'FILE_TOO_LARGE', `Form fields can be at most ${LIMITS.maxFileSize / 1024 / 1024} MB`],
+};
+
+app.use((err, req, res, next) => {
+  let error = err;
+  if (err instanceof multer.MulterError) {
+    // upload.array() reports going over its maxCount as an unexpected file
+    const multerCode = err.code === 'LIMIT_UNEXPECTED_FILE' && req.path === '/process-batch' ? 'LIMIT_FILE_COUNT' : err.code;
+    const [status, code, message] = MULTER_ERRORS[multerCode] || [400, 'INVALID_REQUEST', err.message];
+    error = new ApiError(status, code, message);
+  } else if (!(err instanceof ApiError)) {
+    console.error('Error:', err);
+    const processing = ['/process-image', '/process-split', '/mockup'].includes(req.path) || req.path.startsWith('/jobs/');
+    error = new ApiError(500, processing ? 'PROCESSING_FAILED' : 'INTERNAL_ERROR', err.message);
   }
+
+  console.log(`${req.method} ${req.path} failed: ${error.code} ${error.message}`);
+  // A batch may already be streaming its ZIP, too late for a JSON answer
+  if (res.headersSent) return next(err);
+  res.status(error.status).json({ error: error.message, code: error.code });
 });
 
 const PORT = process.env.PORT || 3001;
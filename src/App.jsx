@@ -1,5 +1,89 @@
-import { useState, useRef } from 'react';
-import { Box, Typography, Paper, Container, Alert, Button, CircularProgress, ThemeProvider, createTheme } from '@mui/material';
+import { useState, useRef, useEffect } from 'react';
+import {
+  Box, Typography, Paper, Container, Alert, Button, Chip, CircularProgress, IconButton, LinearProgress, MenuItem, Slider,
+  TextField, ThemeProvider, ToggleButton, ToggleButtonGroup, Tooltip, createTheme,
+} from '@mui/material';
+import UndoIcon from '@mui/icons-material/Undo';
+import RedoIcon from '@mui/icons-material/Redo';
+import RestartAltIcon from '@mui/icons-material/RestartAlt';
+import {
+  DEFAULT_CROP_SETTINGS, FILL_MODES, calculateEditorCrop, getOutputSize, getSuggestedCropSettings,
+} from './geometry';
+import { DEFAULT_PRESET, PRESETS } from './presets';
+import { COLOUR_CONVERSION_MESSAGES } from './colour';
+import {
+  QUALITY_RATINGS, UPSCALE_STRATEGIES, UPSCALE_STRATEGY_LABELS, getEffectiveDpi, getQualityRating, getUpscaleFactor,
+  getUpscalePlan,
+} from './upscale';
+import CropEditor from './components/CropEditor';
+import FillPreview from './components/FillPreview';
+import OverlayEditor from './components/OverlayEditor';
+import AdjustmentControls from './components/AdjustmentControls';
+import AdjustmentFilter from './components/AdjustmentFilter';
+import BatchQueue from './components/BatchQueue';
+import WallMockup from './components/WallMockup';
+import CompareViewer from './components/CompareViewer';
+import {
+  API_BASE, ServerUnreachableError, analyzeFile, fetchHealth, fetchImageFromUrl, processFile, processSplitFile,
+} from './api';
+import { processFileLocally } from './localProcessing';
+import { ERROR_MESSAGES, getErrorMessage } from './errors';
+import {
+  BROWSER_OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMAT, IMAGE_EXTENSIONS, OUTPUT_FORMATS, formatFileSize, isImageFile,
+} from './formats';
+import { loadImage, readAsDataUrl } from './canvas';
+import { clearSession, loadSession, saveSession } from './session';
+import { useUndoHistory } from './history';
+import { DEFAULT_PANEL_GAP, MAX_PANEL_GAP, PANEL_LAYOUTS, getPanelPlan } from './panels';
+import { ADJUSTMENTS, DEFAULT_ADJUSTMENTS, getAdjustmentFields, hasAdjustments } from './adjustments';
+import { OVERLAY_TYPES } from './overlays';
+
+const formatRatio = (ratio) => Number(ratio.toFixed(2));
+
+// How each finding severity from /analyze is presented
+const FINDING_GROUPS = [
+  { severity: 'error', title: "The image can't be used:" },
+  { severity: 'warning', title: 'Check before printing:' },
+  { severity: 'info', title: 'The image will be adjusted:' },
+];
+
+// How the image is brought to the preset ratio (see FILL_MODES)
+const FILL_MODE_LABELS = {
+  crop: 'Crop to fit',
+  pad: 'Pad with a colour',
+  blur: 'Pad with a blurred copy',
+  mirror: 'Extend with mirrored edges',
+};
+
+// How the crop is split across plates for fill settings, or null for a
+// single plate (see getPanelPlan)
+const getFillPanelPlan = (fillSettings, forPreset) => {
+  if (fillSettings.mode !== 'crop' || !PANEL_LAYOUTS[fillSettings.panels]) return null;
+  const gap = Math.min(MAX_PANEL_GAP, Math.max(0, Number(fillSettings.gap) || 0));
+  return getPanelPlan(fillSettings.panels, gap, forPreset);
+};
+
+// The preset the crop is made for: the whole picture of a multi-panel set,
+// or the preset itself
+const getCropPreset = (fillSettings, forPreset) => getFillPanelPlan(fillSettings, forPreset)?.picture || forPreset;
+
+// Where Process Image does the work
+const PROCESSING_TARGET_LABELS = {
+  auto: 'Server, or this browser when offline',
+  server: 'Server only',
+  browser: 'This browser only (image stays on your device)',
+};
+
+// The AdjustmentFilter the previews use
+const ADJUSTMENT_FILTER_ID = 'print-adjustments';
+
+// Alert colour for each print quality rating
+const QUALITY_SEVERITIES = {
+  excellent: 'success',
+  good: 'success',
+  fair: 'warning',
+  poor: 'error',
+};
 
 // Create a custom theme inspired by Displate
 const theme = createTheme({
@@ -48,51 +132,323 @@ const theme = createTheme({
 function App() {
   const [image, setImage] = useState(null);
   const [processedImage, setProcessedImage] = useState(null);
-  const [validation, setValidation] = useState(null);
+  // Compare the processed image with the original or show it on a wall
+  const [resultView, setResultView] = useState('compare');
+  const [outputReport, setOutputReport] = useState(null);
+  const [imageFile, setImageFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [analyzing, setAnalyzing] = useState(false);
+  const analysisRequest = useRef(0);
   const [processing, setProcessing] = useState(false);
-  const [centerPoint, setCenterPoint] = useState(null);
-  const [selectingCenter, setSelectingCenter] = useState(false);
+  const [processError, setProcessError] = useState(null);
+  // Latest job status from the server while processing
+  const [jobProgress, setJobProgress] = useState(null);
+  const [uploadError, setUploadError] = useState(null);
+  // Link typed into "From URL", and whether the server is downloading it
+  const [importUrl, setImportUrl] = useState('');
+  const [importingUrl, setImportingUrl] = useState(false);
+  const [cropSettings, setCropSettings] = useState(null);
+  const [savedCropSettings, setSavedCropSettings] = useState(null);
+  const [editingCrop, setEditingCrop] = useState(false);
+  // Text and logo layers drawn on the print (see src/overlays.js)
+  const [overlays, setOverlays] = useState([]);
+  const [adjustments, setAdjustments] = useState(DEFAULT_ADJUSTMENTS);
+  // Preview the print's look; doesn't change the output
+  const [softProof, setSoftProof] = useState(false);
+  const [fill, setFill] = useState({ mode: 'crop', colour: '#ffffff', panels: 'none', gap: DEFAULT_PANEL_GAP });
+  const [upscaleStrategy, setUpscaleStrategy] = useState('auto');
+  const [processingTarget, setProcessingTarget] = useState('auto');
+  const [output, setOutput] = useState({
+    format: DEFAULT_OUTPUT_FORMAT,
+    quality: OUTPUT_FORMATS[DEFAULT_OUTPUT_FORMAT].quality,
+    maxSizeMb: '',
+  });
   const imageRef = useRef(null);
-  const [previewRect, setPreviewRect] = useState(null);
-  const containerRef = useRef(null);
-
-  const validateImage = (file) => {
-    return new Promise((resolve) => {
-      const img = new Image();
-      img.onload = () => {
-        const warnings = [];
-        
-        if (img.width < 2900 || img.height < 4060) {
-          warnings.push(`Image dimensions (${img.width}x${img.height}) are below 2900x4060 - will be upscaled`);
-        }
+  const [presets, setPresets] = useState(PRESETS);
+  const [presetId, setPresetId] = useState(DEFAULT_PRESET.id);
+  const [batchItems, setBatchItems] = useState([]);
+  // 'checking', 'online' or 'offline'; health is null for servers without /health
+  const [server, setServer] = useState({ status: 'checking', health: null });
+  // Nothing is saved until the last session has been restored
+  const [sessionLoaded, setSessionLoaded] = useState(false);
+  // Undo steps hold { presetId, fill, cropSettings, overlays, adjustments }
+  const undoHistory = useUndoHistory();
 
-        const ratio = img.height / img.width;
-        if (Math.abs(ratio - 1.4) > 0.1) {
-          warnings.push(`Image ratio (${ratio.toFixed(2)}:1) doesn't match 1.4:1 - will be cropped`);
-        }
+  const preset = presets.find((p) => p.id === presetId) || DEFAULT_PRESET;
+  const minimumSize = getOutputSize('vertical', preset);
+  const panelPlan = getFillPanelPlan(fill, preset);
+  const cropPreset = panelPlan?.picture || preset;
+  const previewFilter = hasAdjustments(adjustments) || softProof ? `url(#${ADJUSTMENT_FILTER_ID})` : undefined;
 
-        resolve(warnings);
-      };
-      img.src = URL.createObjectURL(file);
-    });
+  // Print quality of the current crop or fill, once the report gives the image size
+  const upscaleFactor = report?.width
+    ? getUpscaleFactor(report.width, report.height, cropSettings || DEFAULT_CROP_SETTINGS, fill.mode, cropPreset)
+    : null;
+  const effectiveDpi = upscaleFactor && getEffectiveDpi(upscaleFactor, preset);
+  const quality = upscaleFactor && QUALITY_RATINGS.find(({ rating }) => rating === getQualityRating(effectiveDpi, preset));
+
+  // Processing fields shared by single images and the batch
+  const processingOptions = {
+    mode: fill.mode,
+    background: fill.colour,
+    upscale: upscaleStrategy,
+    format: output.format,
+    ...(output.quality && { quality: String(output.quality) }),
+    ...(output.maxSizeMb && { maxSizeMb: output.maxSizeMb }),
+  };
+
+  // Whether a server feature list (see GET /health) includes a value. Unknown
+  // servers, and lists from servers older than the feature, get the benefit
+  // of the doubt.
+  const serverSupports = (feature, value) => {
+    const values = server.health?.features[feature];
+    return !values || values.includes(value);
+  };
+
+  useEffect(() => {
+    fetchHealth()
+      .then((health) => setServer({ status: 'online', health }))
+      .catch((error) => {
+        console.warn('Server unreachable:', error);
+        setServer({ status: 'offline', health: null });
+      });
+  }, []);
+
+  // Use the server's preset catalogue, keeping the bundled one if it can't be reached
+  useEffect(() => {
+    fetch(`${API_BASE}/presets`)
+      .then((response) => {
+        if (!response.ok) throw new Error(`Failed to load presets: ${response.status}`);
+        return response.json();
+      })
+      .then((data) => setPresets(data.presets))
+      .catch((error) => console.warn('Using bundled presets:', error));
+  }, []);
+
+  // Pick up the session saved before the last reload. This runs once, so it
+  // goes through a ref to use this render's functions.
+  const restoreSessionRef = useRef(null);
+  restoreSessionRef.current = async () => {
+    const { file, settings } = await loadSession();
+    if (!file) return;
+
+    const restoredPreset = presets.find((p) => p.id === settings?.presetId) || DEFAULT_PRESET;
+    const dataUrl = await readAsDataUrl(file);
+    if (settings) {
+      setPresetId(restoredPreset.id);
+      setFill(settings.fill);
+      setUpscaleStrategy(settings.upscaleStrategy);
+      setProcessingTarget(settings.processingTarget);
+      setOutput(settings.output);
+      setCropSettings(settings.cropSettings);
+      setOverlays(settings.overlays || []);
+      setAdjustments(settings.adjustments || DEFAULT_ADJUSTMENTS);
+    }
+    setImageFile(file);
+    setImage(dataUrl);
+
+    const cropFields = settings?.cropSettings && !settings.cropSettings.suggested
+      ? getCropFields(settings.cropSettings, getCropPreset(settings.fill, restoredPreset), await loadImage(dataUrl))
+      : {};
+    analyzeImage(file, restoredPreset, cropFields);
+  };
+  useEffect(() => {
+    restoreSessionRef.current()
+      .catch((error) => console.warn('Could not restore the last session:', error))
+      .finally(() => setSessionLoaded(true));
+  }, []);
+
+  // Save the image whenever it changes, and forget it after Start Over
+  useEffect(() => {
+    if (!sessionLoaded) return;
+    (imageFile ? saveSession('file', imageFile) : clearSession())
+      .catch((error) => console.warn('Could not save the session:', error));
+  }, [sessionLoaded, imageFile]);
+
+  // Save the settings, though not on every step of dragging the crop
+  useEffect(() => {
+    if (!sessionLoaded || !imageFile || editingCrop) return;
+    saveSession('settings', {
+      presetId, fill, cropSettings, overlays, adjustments, upscaleStrategy, processingTarget, output,
+    }).catch((error) => console.warn('Could not save the session:', error));
+  }, [
+    sessionLoaded, imageFile, editingCrop, presetId, fill, cropSettings, overlays, adjustments, upscaleStrategy,
+    processingTarget, output,
+  ]);
+
+  // Processed images are object URLs; free each one once it's been replaced
+  useEffect(() => () => {
+    if (processedImage) URL.revokeObjectURL(processedImage);
+  }, [processedImage]);
+
+  // Ask the server for a validation report. It decodes formats the browser
+  // can't (HEIC, TIFF, CMYK JPEG) so this never hangs on an unreadable file.
+  // `cropFields` name the crop to check for detail in the safe margin
+  // (see getCropFields); the server checks its own suggestion without them.
+  const analyzeImage = async (file, analysisPreset, cropFields = {}) => {
+    const requestId = ++analysisRequest.current;
+    setAnalyzing(true);
+
+    try {
+      const data = await analyzeFile(file, analysisPreset, cropFields);
+      // Ignore reports for a file or preset that has since been replaced
+      if (requestId !== analysisRequest.current) return;
+      setReport(data);
+      // Place the crop on the image's subject, unless the user has placed it
+      if (data.suggestedCrop) {
+        setCropSettings((current) => (!current || current.suggested
+          ? getSuggestedCropSettings(data.suggestedCrop)
+          : current));
+      }
+    } catch (error) {
+      console.error('Failed to analyze image:', error);
+      if (requestId === analysisRequest.current) {
+        setReport({ findings: [{ code: 'analysis-failed', severity: 'error', message: getErrorMessage(error) }] });
+      }
+    } finally {
+      if (requestId === analysisRequest.current) setAnalyzing(false);
+    }
   };
 
+  // The crop as /process-image fields: the rectangle as fractions of the
+  // rotated image, so the server cuts out exactly what the editor showed.
+  // `img` is the loaded original, the editor's by default.
+  const getCropFields = (settings, cropPreset, img = imageRef.current) => {
+    const { naturalWidth, naturalHeight } = img;
+    const crop = calculateEditorCrop(naturalWidth, naturalHeight, settings, cropPreset);
+    return {
+      rotation: String(settings.rotation),
+      cropX: String(crop.left / crop.bounds.width),
+      cropY: String(crop.top / crop.bounds.height),
+      cropWidth: String(crop.width / crop.bounds.width),
+      cropHeight: String(crop.height / crop.bounds.height),
+    };
+  };
+
+  // Crop fields for a new analysis: only a crop the user placed, since the
+  // server checks the one it suggests by itself
+  const getAnalysisCropFields = (settings, cropPreset) => (
+    settings && !settings.suggested && imageRef.current ? getCropFields(settings, cropPreset) : {}
+  );
+
   const handleFile = async (file) => {
-    if (file && file.type.startsWith('image/')) {
-      const warnings = await validateImage(file);
-      setValidation(warnings);
+    if (file && isImageFile(file)) {
+      setImageFile(file);
+      setReport(null);
+      setCropSettings(null);
+      setEditingCrop(false);
+      setProcessedImage(null);
+      setProcessError(null);
+      undoHistory.clear();
+      analyzeImage(file, preset);
+      readAsDataUrl(file).then(setImage);
+    }
+  };
 
-      const reader = new FileReader();
-      reader.onload = () => {
-        setImage(reader.result);
-      };
-      reader.readAsDataURL(file);
+  // Back to an empty editor, dropping the saved session too
+  const handleStartOver = () => {
+    // Reports still on their way are for the old image
+    analysisRequest.current++;
+    setAnalyzing(false);
+    setImage(null);
+    setImageFile(null);
+    setReport(null);
+    setCropSettings(null);
+    setEditingCrop(false);
+    setOverlays([]);
+    setAdjustments(DEFAULT_ADJUSTMENTS);
+    setProcessedImage(null);
+    setOutputReport(null);
+    setProcessError(null);
+    undoHistory.clear();
+  };
+
+  // From the processed image back to the editor, with the same settings
+  const handleEditAgain = () => {
+    setProcessedImage(null);
+  };
+
+  const getSnapshot = () => ({ presetId, fill, cropSettings, overlays, adjustments });
+
+  const restoreSnapshot = (snapshot) => {
+    const snapshotPreset = presets.find((p) => p.id === snapshot.presetId) || DEFAULT_PRESET;
+    setPresetId(snapshotPreset.id);
+    setFill(snapshot.fill);
+    setCropSettings(snapshot.cropSettings);
+    setOverlays(snapshot.overlays || []);
+    setAdjustments(snapshot.adjustments || DEFAULT_ADJUSTMENTS);
+    setProcessedImage(null);
+    // A different preset or crop needs a new report
+    if (imageFile && (snapshot.presetId !== presetId || snapshot.cropSettings !== cropSettings)) {
+      analyzeImage(imageFile, snapshotPreset,
+        getAnalysisCropFields(snapshot.cropSettings, getCropPreset(snapshot.fill, snapshotPreset)));
     }
   };
 
+  const handleUndo = () => {
+    const snapshot = undoHistory.undo(getSnapshot());
+    if (snapshot) restoreSnapshot(snapshot);
+  };
+
+  const handleRedo = () => {
+    const snapshot = undoHistory.redo(getSnapshot());
+    if (snapshot) restoreSnapshot(snapshot);
+  };
+
+  // Ctrl+Z and Ctrl+Shift+Z (or Ctrl+Y), outside text fields and the crop editor
+  const shortcutRef = useRef(null);
+  shortcutRef.current = (e) => {
+    if (!(e.ctrlKey || e.metaKey) || editingCrop || !image) return;
+    if (['INPUT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      handleUndo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      handleRedo();
+    }
+  };
+  useEffect(() => {
+    const handleKeyDown = (e) => shortcutRef.current(e);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // A single image opens in the editor; several go to the batch queue, and
+  // so does anything added while the queue is in use
+  const handleFiles = (fileList) => {
+    const all = Array.from(fileList);
+    // Catch what the server would refuse before uploading anything
+    const maxFileSize = server.health?.limits.maxFileSize;
+    const files = all.filter((file) => isImageFile(file) && !(maxFileSize && file.size > maxFileSize));
+    const rejected = all.find((file) => !files.includes(file));
+    setUploadError(rejected
+      ? `${rejected.name}: ${ERROR_MESSAGES[isImageFile(rejected) ? 'FILE_TOO_LARGE' : 'UNSUPPORTED_FORMAT']}`
+      : null);
+    if (files.length === 0) return;
+
+    if (files.length === 1 && batchItems.length === 0) {
+      handleFile(files[0]);
+      return;
+    }
+
+    setBatchItems((items) => [
+      ...items,
+      ...files.map((file) => ({
+        id: crypto.randomUUID(),
+        file,
+        url: URL.createObjectURL(file),
+        report: null,
+        cropSettings: null,
+        status: 'queued',
+      })),
+    ]);
+  };
+
   const handleDrop = (e) => {
     e.preventDefault();
-    handleFile(e.dataTransfer.files[0]);
+    handleFiles(e.dataTransfer.files);
   };
 
   const handleDragOver = (e) => {
@@ -102,138 +458,133 @@ function App() {
   const handleClick = () => {
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = 'image/*';
+    input.accept = ['image/*', ...IMAGE_EXTENSIONS.map((extension) => `.${extension}`)].join(',');
+    input.multiple = true;
     input.onchange = (e) => {
-      handleFile(e.target.files[0]);
+      handleFiles(e.target.files);
     };
     input.click();
   };
 
-  const calculateCropPreview = (image, mouseX, mouseY) => {
-    if (!image || !containerRef.current) return null;
-
-    const container = containerRef.current;
-    const rect = container.getBoundingClientRect();
-    const imageAspect = image.naturalHeight / image.naturalWidth;
-    const containerAspect = rect.height / rect.width;
-
-    let imageDisplayWidth, imageDisplayHeight;
-    let imageLeft = 0, imageTop = 0;
-
-    // Calculate displayed image dimensions
-    if (imageAspect > containerAspect) {
-      imageDisplayHeight = rect.height;
-      imageDisplayWidth = rect.height / imageAspect;
-      imageLeft = (rect.width - imageDisplayWidth) / 2;
-    } else {
-      imageDisplayWidth = rect.width;
-      imageDisplayHeight = rect.width * imageAspect;
-      imageTop = (rect.height - imageDisplayHeight) / 2;
+  // Images pasted with Ctrl/Cmd+V, such as "Copy image" in a browser tab.
+  // Text fields keep their own paste.
+  const pasteRef = useRef(null);
+  pasteRef.current = (e) => {
+    if (['INPUT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    const files = Array.from(e.clipboardData?.files || []).filter(isImageFile);
+    if (files.length === 0) return;
+    e.preventDefault();
+    handleFiles(files);
+  };
+  useEffect(() => {
+    const handlePaste = (e) => pasteRef.current(e);
+    window.addEventListener('paste', handlePaste);
+    return () => window.removeEventListener('paste', handlePaste);
+  }, []);
+
+  // The server downloads the image, which then goes through the same checks as an upload
+  const handleImportUrl = async (e) => {
+    e.preventDefault();
+    if (!importUrl.trim()) return;
+    setImportingUrl(true);
+    setUploadError(null);
+    try {
+      const file = await fetchImageFromUrl(importUrl.trim());
+      handleFiles([file]);
+      setImportUrl('');
+    } catch (error) {
+      console.error('Failed to import the URL:', error);
+      setUploadError(error instanceof TypeError
+        ? "Importing from a link needs the server, which can't be reached right now."
+        : getErrorMessage(error));
+    } finally {
+      setImportingUrl(false);
     }
+  };
 
-    // Determine if the image should be treated as vertical or horizontal for Displate
-    const isVertical = image.naturalHeight > image.naturalWidth * 1.4;
-    let cropWidth, cropHeight;
-
-    if (isVertical) {
-      // For vertical images, maintain 1.4:1 (height:width) ratio
-      cropWidth = Math.min(imageDisplayWidth, imageDisplayHeight / 1.4);
-      cropHeight = cropWidth * 1.4;
-    } else {
-      // For horizontal images, maintain 1:1.4 (height:width) ratio
-      cropHeight = Math.min(imageDisplayHeight, imageDisplayWidth / 1.4);
-      cropWidth = cropHeight * 1.4;
+  const handlePresetChange = (e) => {
+    const nextPreset = presets.find((p) => p.id === e.target.value);
+    undoHistory.record(getSnapshot());
+    setPresetId(nextPreset.id);
+    // A processed image was made for the old preset
+    setProcessedImage(null);
+    if (imageFile) {
+      analyzeImage(imageFile, nextPreset, getAnalysisCropFields(cropSettings, getCropPreset(fill, nextPreset)));
     }
+  };
 
-    // Calculate crop position based on mouse position
-    const cropLeft = Math.max(
-      imageLeft,
-      Math.min(
-        imageLeft + imageDisplayWidth - cropWidth,
-        mouseX - cropWidth / 2
-      )
-    );
-    const cropTop = Math.max(
-      imageTop,
-      Math.min(
-        imageTop + imageDisplayHeight - cropHeight,
-        mouseY - cropHeight / 2
-      )
-    );
+  const handleFillChange = (changes) => {
+    // Dragging the colour picker makes one undo step, not dozens
+    undoHistory.record(getSnapshot(), Object.keys(changes).join());
+    setFill((current) => ({ ...current, ...changes }));
+    setProcessedImage(null);
+  };
 
-    return {
-      left: cropLeft,
-      top: cropTop,
-      width: cropWidth,
-      height: cropHeight
-    };
+  const handleOverlaysChange = (layers) => {
+    // A layer being typed in or dragged makes one undo step
+    undoHistory.record(getSnapshot(), 'overlays');
+    setOverlays(layers);
+    setProcessedImage(null);
   };
 
-  const handleMouseMove = (e) => {
-    if (!selectingCenter || !imageRef.current || centerPoint) return;
+  const handleAdjustmentsChange = (changes) => {
+    undoHistory.record(getSnapshot(), Object.keys(changes).join());
+    setAdjustments((current) => ({ ...current, ...changes }));
+    setProcessedImage(null);
+  };
 
-    const rect = e.currentTarget.getBoundingClientRect();
-    const preview = calculateCropPreview(
-      imageRef.current,
-      e.clientX - rect.left,
-      e.clientY - rect.top
-    );
-    setPreviewRect(preview);
+  // A new format starts from its own default quality
+  const handleOutputChange = (changes) => {
+    setOutput((current) => ({
+      ...current,
+      ...(changes.format && { quality: OUTPUT_FORMATS[changes.format].quality }),
+      ...changes,
+    }));
+    setProcessedImage(null);
   };
 
-  const handleImageClick = (e) => {
-    if (!selectingCenter || !imageRef.current) return;
-
-    const rect = e.currentTarget.getBoundingClientRect();
-    const normalizedX = (e.clientX - rect.left) / rect.width;
-    const normalizedY = (e.clientY - rect.top) / rect.height;
-    
-    setCenterPoint({ 
-      x: normalizedX,
-      y: normalizedY
-    });
-    
-    const preview = calculateCropPreview(
-      imageRef.current,
-      e.clientX - rect.left,
-      e.clientY - rect.top
-    );
-    setPreviewRect(preview);
+  const handleUpscaleChange = (e) => {
+    setUpscaleStrategy(e.target.value);
+    setProcessedImage(null);
   };
 
-  const handleImageLoad = () => {
-    if (imageRef.current && centerPoint) {
-      const rect = containerRef.current.getBoundingClientRect();
-      const preview = calculateCropPreview(
-        imageRef.current,
-        centerPoint.x * rect.width,
-        centerPoint.y * rect.height
-      );
-      setPreviewRect(preview);
-    }
+  const startEditing = () => {
+    // Keep the confirmed crop so Cancel can go back to it
+    setSavedCropSettings(cropSettings);
+    setCropSettings(cropSettings || DEFAULT_CROP_SETTINGS);
+    setEditingCrop(true);
   };
 
-  const startCentering = () => {
-    setSelectingCenter(true);
-    setCenterPoint(null);
-    setPreviewRect(null);
+  const applySuggestedCrop = () => {
+    setCropSettings(getSuggestedCropSettings(report.suggestedCrop));
   };
 
-  const confirmCentering = () => {
-    setSelectingCenter(false);
+  const confirmEditing = () => {
+    setEditingCrop(false);
+    // Check the new crop for detail in the margin
+    if (cropSettings !== savedCropSettings) {
+      undoHistory.record({ ...getSnapshot(), cropSettings: savedCropSettings });
+      analyzeImage(imageFile, preset, getAnalysisCropFields(cropSettings, cropPreset));
+    }
   };
 
-  const cancelCentering = () => {
-    setSelectingCenter(false);
-    setCenterPoint(null);
-    setPreviewRect(null);
+  const cancelEditing = () => {
+    setEditingCrop(false);
+    setCropSettings(savedCropSettings);
   };
 
   const handleProcess = async () => {
-    if (!image || !centerPoint) return;
-    
+    if (!image) return;
+    const cropping = fill.mode === 'crop';
+    if (cropping && (!cropSettings || !imageRef.current)) return;
+    if (panelPlan && processingTarget === 'browser') {
+      setProcessError('Panels are split on the server. Choose the server under "Process on" to split this image.');
+      return;
+    }
+
     try {
       setProcessing(true);
+      setProcessError(null);
       console.log('Starting image processing...');
       
       // Convert base64 to blob
@@ -241,54 +592,78 @@ function App() {
       const blob = await response.blob();
       console.log('Image converted to blob');
       
-      // Create form data with center point information
-      const formData = new FormData();
-      formData.append('image', blob);
-      formData.append('centerX', centerPoint.x.toString());
-      formData.append('centerY', centerPoint.y.toString());
-      console.log('FormData created with center point:', centerPoint);
-
-      // Log the URL we're sending to
-      const apiUrl = process.env.NODE_ENV === 'development' 
-        ? 'http://localhost:3001/process-image'
-        : 'https://displatecustom.onrender.com/process-image';
-      console.log('Sending request to:', apiUrl);
-
-      // Send to server
-      const processedResponse = await fetch(apiUrl, {
-        method: 'POST',
-        mode: 'cors',
-        headers: {
-          'Accept': 'image/jpeg',
-        },
-        body: formData
-      });
+      // Form fields for /process-image; the browser path reads the same ones
+      const fields = {
+        preset: preset.id,
+        ...processingOptions,
+        rotation: (cropSettings?.rotation || 0).toString(),
+        ...getAdjustmentFields(adjustments),
+      };
+      // The server ignores the editor's layer ids
+      if (overlays.length > 0) fields.overlays = JSON.stringify(overlays);
+      if (cropping) {
+        Object.assign(fields, getCropFields(cropSettings, cropPreset));
+        console.log('Fields created with crop:', fields);
+      } else {
+        console.log('Fields created with fill:', fill);
+      }
 
-      console.log('Response status:', processedResponse.status);
-      
-      if (!processedResponse.ok) {
-        const errorText = await processedResponse.text();
-        console.error('Server response:', errorText);
-        throw new Error(`Failed to process image: ${processedResponse.status} ${errorText}`);
+      let result;
+      if (panelPlan) {
+        const split = await processSplitFile(blob, { ...fields, layout: fill.panels, gap: String(fill.gap) });
+        result = { blob: split.blob, report: { ...split.report, panels: split.names } };
+      } else if (processingTarget === 'browser') {
+        result = await processFileLocally(blob, fields, preset);
+      } else {
+        try {
+          console.log('Sending request to:', `${API_BASE}/process-image`);
+          result = await processFile(blob, fields, setJobProgress);
+        } catch (error) {
+          if (processingTarget !== 'auto' || !(error instanceof ServerUnreachableError)) throw error;
+          console.warn('Server unreachable, processing in the browser instead:', error);
+          result = await processFileLocally(blob, fields, preset);
+          result.report.fallback = true;
+        }
       }
 
-      const processedBlob = await processedResponse.blob();
-      const processedUrl = URL.createObjectURL(processedBlob);
-      setProcessedImage(processedUrl);
+      setOutputReport(result.report);
+      setProcessedImage(URL.createObjectURL(result.blob));
       console.log('Image processed successfully');
     } catch (error) {
       console.error('Failed to process image:', error);
-      alert('Error processing image: ' + error.message);
+      setProcessError(getErrorMessage(error));
     } finally {
       setProcessing(false);
+      setJobProgress(null);
     }
   };
 
+  const processButton = (
+    <Button 
+      variant="contained" 
+      color="primary"
+      onClick={handleProcess}
+      disabled={processing}
+      size="large"
+    >
+      {processing ? (
+        <>
+          <CircularProgress size={24} sx={{ mr: 1 }} color="inherit" />
+          Processing...
+        </>
+      ) : (
+        'Process Image'
+      )}
+    </Button>
+  );
+
   const handleDownload = () => {
     if (processedImage) {
       const link = document.createElement('a');
       link.href = processedImage;
-      link.download = 'processed-image.jpg';
+      link.download = outputReport.panels
+        ? 'displate-panels.zip'
+        : `processed-image.${OUTPUT_FORMATS[outputReport.format].extension}`;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
@@ -319,6 +694,18 @@ function App() {
                 <Typography variant="h6" gutterBottom>
                   This app will make your image meet Requirements from Displate. 
                 </Typography>
+                <TextField
+                  select
+                  fullWidth
+                  label="Product format"
+                  value={preset.id}
+                  onChange={handlePresetChange}
+                  sx={{ my: 2 }}
+                >
+                  {presets.map((p) => (
+                    <MenuItem key={p.id} value={p.id}>{p.label}</MenuItem>
+                  ))}
+                </TextField>
                 <Box component="ul" sx={{ 
                   pl: 2,
                   '& li': { 
@@ -328,8 +715,34 @@ function App() {
                   }
                 }}>
                   <li>High-quality images in JPG, PNG, WEBp, or AVIF format</li>
-                  <li>File size should be at least 2900 x 4060 px in a 1.4:1 ratio</li>
-                  <li>300 DPI (or more) in RGB mode</li>
+                  <li>File size should be at least {minimumSize.width} x {minimumSize.height} px in a {formatRatio(preset.ratio)}:1 ratio</li>
+                  <li>{preset.dpi} DPI (or more) in RGB mode</li>
+                </Box>
+                <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1, mt: 2 }}>
+                  {server.status === 'checking' && (
+                    <>
+                      <CircularProgress size={16} />
+                      <Typography variant="body2" color="text.secondary">Connecting to the processing server...</Typography>
+                    </>
+                  )}
+                  {server.status === 'online' && (
+                    <>
+                      <Chip size="small" color="success" label="Server online" />
+                      {server.health && (
+                        <Typography variant="body2" color="text.secondary">
+                          v{server.health.version} - sharp {server.health.sharp}, libvips {server.health.libvips}
+                        </Typography>
+                      )}
+                    </>
+                  )}
+                  {server.status === 'offline' && (
+                    <>
+                      <Chip size="small" color="warning" label="Server offline" />
+                      <Typography variant="body2" color="text.secondary">
+                        Images will be processed in your browser.
+                      </Typography>
+                    </>
+                  )}
                 </Box>
               </Paper>
 
@@ -350,116 +763,296 @@ function App() {
                 onClick={handleClick}
               >
                 <Typography sx={{ color: 'text.secondary' }}>
-                  Drag and drop an image here, or click to select one (no data is stored).
+                  Drag and drop images here, paste one with Ctrl+V, or click to select them (no data is stored).
+                  Several images at once are processed as a batch.
 
                 </Typography>
               </Paper>
 
-              {validation && validation.length > 0 && (
-                <Alert severity="info" sx={{ mt: 3 }}>
-                  <Typography gutterBottom>The image will be adjusted:</Typography>
-                  <Box component="ul" sx={{ pl: 2, mb: 0 }}>
-                    {validation.map((warning, index) => (
-                      <li key={index}>{warning}</li>
-                    ))}
-                  </Box>
+              <Box component="form" onSubmit={handleImportUrl} sx={{ display: 'flex', gap: 1, mt: 2 }}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="url"
+                  label="From URL"
+                  placeholder="https://example.com/artwork.png"
+                  value={importUrl}
+                  onChange={(e) => setImportUrl(e.target.value)}
+                  disabled={importingUrl}
+                />
+                <Button
+                  type="submit"
+                  variant="outlined"
+                  disabled={
+                    importingUrl || !importUrl.trim() || server.status === 'offline' || (server.health && !server.health.features.urlImport)
+                  }
+                  sx={{ flexShrink: 0 }}
+                >
+                  {importingUrl ? <CircularProgress size={20} /> : 'Import'}
+                </Button>
+              </Box>
+
+              {uploadError && (
+                <Alert severity="error" onClose={() => setUploadError(null)} sx={{ mt: 3 }}>
+                  {uploadError}
                 </Alert>
               )}
+
+              {analyzing && (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 3, color: 'text.secondary' }}>
+                  <CircularProgress size={20} />
+                  <Typography>Checking the image...</Typography>
+                </Box>
+              )}
+
+              {!analyzing && report && FINDING_GROUPS.map(({ severity, title }) => {
+                // The margin check is for crops; fill modes keep the whole image
+                const findings = report.findings.filter((finding) => finding.severity === severity
+                  && !(finding.code === 'detail-in-margin' && fill.mode !== 'crop'));
+                if (findings.length === 0) return null;
+                return (
+                  <Alert key={severity} severity={severity} sx={{ mt: 3 }}>
+                    <Typography gutterBottom>{title}</Typography>
+                    <Box component="ul" sx={{ pl: 2, mb: 0 }}>
+                      {findings.map((finding) => (
+                        <li key={finding.code}>{finding.message}</li>
+                      ))}
+                    </Box>
+                  </Alert>
+                );
+              })}
             </Box>
 
             {/* Right Column */}
             <Box>
+              {batchItems.length > 0 && (
+                <BatchQueue
+                  items={batchItems}
+                  onItemsChange={setBatchItems}
+                  preset={preset}
+                  options={processingOptions}
+                  serverAvailable={server.status !== 'offline' && (!server.health || server.health.features.batch)}
+                />
+              )}
+
               {image && (
                 <Paper sx={{ p: 4, mb: 3 }}>
                   <Typography variant="h6" gutterBottom align="center">
-                    {selectingCenter ? 'Click to Set Center Point' : 'Original Image'}
+                    {editingCrop ? 'Adjust the Crop' : 'Original Image'}
                   </Typography>
-                  <Box sx={{
-                    position: 'relative',
-                    width: '100%',
-                    pt: '75%',
-                    mb: 2,
-                    cursor: selectingCenter ? 'crosshair' : 'default',
-                    overflow: 'hidden',
-                    bgcolor: '#000',
-                    borderRadius: 1
-                  }} ref={containerRef}>
-                    <Box
-                      sx={{
-                        position: 'absolute',
-                        top: 0,
-                        left: 0,
-                        width: '100%',
-                        height: '100%',
-                        overflow: 'hidden'
-                      }}
-                      onMouseMove={handleMouseMove}
-                    >
-                      <img 
-                        ref={imageRef}
-                        src={image} 
-                        alt="Original" 
-                        onClick={handleImageClick}
-                        onLoad={handleImageLoad}
-                        style={{
-                          position: 'absolute',
-                          top: '50%',
-                          left: '50%',
-                          width: '100%',
-                          height: '100%',
-                          transform: 'translate(-50%, -50%)',
-                          objectFit: 'contain'
-                        }}
-                      />
-                      {selectingCenter && previewRect && (
-                        <Box
-                          sx={{
-                            position: 'absolute',
-                            left: `${previewRect.left}px`,
-                            top: `${previewRect.top}px`,
-                            width: `${previewRect.width}px`,
-                            height: `${previewRect.height}px`,
-                            border: '2px solid rgba(255, 255, 255, 0.8)',
-                            boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.5)',
-                            pointerEvents: 'none'
-                          }}
+                  {!editingCrop && (
+                    <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 1, mb: 2 }}>
+                      <Tooltip title="Undo (Ctrl+Z)">
+                        <span>
+                          <IconButton onClick={handleUndo} disabled={!undoHistory.canUndo} aria-label="Undo">
+                            <UndoIcon />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      <Tooltip title="Redo (Ctrl+Shift+Z)">
+                        <span>
+                          <IconButton onClick={handleRedo} disabled={!undoHistory.canRedo} aria-label="Redo">
+                            <RedoIcon />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      <Button size="small" startIcon={<RestartAltIcon />} onClick={handleStartOver}>
+                        Start Over
+                      </Button>
+                    </Box>
+                  )}
+                  {!editingCrop && (
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+                      <TextField
+                        select
+                        fullWidth
+                        size="small"
+                        label="Fit"
+                        value={fill.mode}
+                        onChange={(e) => handleFillChange({ mode: e.target.value })}
+                      >
+                        {FILL_MODES.map((mode) => (
+                          <MenuItem
+                            key={mode}
+                            value={mode}
+                            disabled={processingTarget !== 'browser' && !serverSupports('modes', mode)}
+                          >
+                            {FILL_MODE_LABELS[mode]}
+                          </MenuItem>
+                        ))}
+                      </TextField>
+                      {fill.mode === 'crop' && (
+                        <TextField
+                          select
+                          fullWidth
+                          size="small"
+                          label="Plates"
+                          value={fill.panels || 'none'}
+                          onChange={(e) => handleFillChange({ panels: e.target.value })}
+                        >
+                          <MenuItem value="none">Single plate</MenuItem>
+                          {Object.entries(PANEL_LAYOUTS).map(([layout, { label }]) => (
+                            <MenuItem
+                              key={layout}
+                              value={layout}
+                              disabled={processingTarget === 'browser' || !serverSupports('panelLayouts', layout)}
+                            >
+                              {label}
+                            </MenuItem>
+                          ))}
+                        </TextField>
+                      )}
+                      {panelPlan && (
+                        <TextField
+                          type="number"
+                          size="small"
+                          label="Gap (cm)"
+                          value={fill.gap}
+                          onChange={(e) => handleFillChange({ gap: e.target.value })}
+                          slotProps={{ htmlInput: { min: 0, max: MAX_PANEL_GAP, step: 0.5 } }}
+                          sx={{ width: 120, flexShrink: 0 }}
                         />
                       )}
-                      {centerPoint && (
-                        <Box
-                          sx={{
-                            position: 'absolute',
-                            left: `${centerPoint.x * 100}%`,
-                            top: `${centerPoint.y * 100}%`,
-                            width: '20px',
-                            height: '20px',
-                            transform: 'translate(-50%, -50%)',
-                            border: '2px solid red',
-                            borderRadius: '50%',
-                            pointerEvents: 'none',
-                            '&::before, &::after': {
-                              content: '""',
-                              position: 'absolute',
-                              backgroundColor: 'red',
-                            },
-                            '&::before': {
-                              left: '50%',
-                              width: '2px',
-                              height: '100%',
-                              transform: 'translateX(-50%)',
-                            },
-                            '&::after': {
-                              top: '50%',
-                              width: '100%',
-                              height: '2px',
-                              transform: 'translateY(-50%)',
-                            },
-                            zIndex: 2,
-                          }}
+                      {fill.mode === 'pad' && (
+                        <TextField
+                          type="color"
+                          size="small"
+                          label="Colour"
+                          value={fill.colour}
+                          onChange={(e) => handleFillChange({ colour: e.target.value })}
+                          sx={{ width: 96, flexShrink: 0 }}
                         />
                       )}
+                      <TextField
+                        select
+                        fullWidth
+                        size="small"
+                        label="Upscaling"
+                        value={upscaleStrategy}
+                        onChange={handleUpscaleChange}
+                      >
+                        {UPSCALE_STRATEGIES.map((strategy) => (
+                          <MenuItem key={strategy} value={strategy} disabled={!serverSupports('upscaleStrategies', strategy)}>
+                            {UPSCALE_STRATEGY_LABELS[strategy]}
+                          </MenuItem>
+                        ))}
+                      </TextField>
+                      <TextField
+                        select
+                        fullWidth
+                        size="small"
+                        label="Process on"
+                        value={processingTarget}
+                        onChange={(e) => setProcessingTarget(e.target.value)}
+                      >
+                        {Object.entries(PROCESSING_TARGET_LABELS).map(([target, label]) => (
+                          <MenuItem key={target} value={target} disabled={target === 'server' && server.status === 'offline'}>
+                            {label}
+                          </MenuItem>
+                        ))}
+                      </TextField>
+                      <TextField
+                        select
+                        size="small"
+                        label="Format"
+                        value={output.format}
+                        onChange={(e) => handleOutputChange({ format: e.target.value })}
+                        sx={{ width: 120 }}
+                      >
+                        {Object.entries(OUTPUT_FORMATS).map(([format, { label }]) => (
+                          <MenuItem
+                            key={format}
+                            value={format}
+                            disabled={processingTarget === 'browser'
+                              ? !BROWSER_OUTPUT_FORMATS.includes(format)
+                              : !serverSupports('outputFormats', format)}
+                          >
+                            {label}
+                          </MenuItem>
+                        ))}
+                      </TextField>
+                      <TextField
+                        type="number"
+                        size="small"
+                        label="Max size (MB)"
+                        value={output.maxSizeMb}
+                        onChange={(e) => handleOutputChange({ maxSizeMb: e.target.value })}
+                        slotProps={{ htmlInput: { min: 0, step: 0.5 } }}
+                        sx={{ width: 140 }}
+                      />
+                      {output.quality && (
+                        <Box sx={{ flex: '1 1 160px', px: 1 }}>
+                          <Typography variant="body2">
+                            Quality {output.maxSizeMb ? `up to ${output.quality}` : output.quality}
+                          </Typography>
+                          <Slider
+                            size="small"
+                            value={output.quality}
+                            min={1}
+                            max={100}
+                            onChange={(e, value) => handleOutputChange({ quality: value })}
+                            valueLabelDisplay="auto"
+                          />
+                        </Box>
+                      )}
                     </Box>
-                  </Box>
+                  )}
+                  {fill.mode === 'crop' ? (
+                    <CropEditor
+                      key={image}
+                      src={image}
+                      imageRef={imageRef}
+                      settings={cropSettings}
+                      preset={cropPreset}
+                      panels={panelPlan}
+                      overlays={overlays}
+                      filter={previewFilter}
+                      editing={editingCrop}
+                      onChange={(settings) => setCropSettings({ ...settings, suggested: false })}
+                    />
+                  ) : (
+                    <FillPreview
+                      src={image}
+                      preset={preset}
+                      mode={fill.mode}
+                      colour={fill.colour}
+                      rotation={cropSettings?.rotation}
+                      overlays={overlays}
+                      filter={previewFilter}
+                    />
+                  )}
+                  <AdjustmentFilter id={ADJUSTMENT_FILTER_ID} adjustments={adjustments} softProof={softProof} />
+                  {!editingCrop && !processedImage && (
+                    <>
+                      <OverlayEditor
+                        layers={overlays}
+                        onChange={handleOverlaysChange}
+                        types={OVERLAY_TYPES.filter((type) => serverSupports('overlays', type))}
+                      />
+                      <AdjustmentControls
+                        src={image}
+                        adjustments={adjustments}
+                        available={Object.keys(ADJUSTMENTS)
+                          .filter((name) => processingTarget === 'browser' || serverSupports('adjustments', name))}
+                        softProof={softProof}
+                        onChange={handleAdjustmentsChange}
+                        onSoftProofChange={setSoftProof}
+                      />
+                    </>
+                  )}
+                  {quality && (
+                    <Alert severity={QUALITY_SEVERITIES[quality.rating]} sx={{ mb: 2 }}>
+                      Print quality: {quality.label} - about {effectiveDpi} DPI
+                      {upscaleFactor > 1 && ` (${upscaleFactor.toFixed(1)}x upscale, ${
+                        UPSCALE_STRATEGY_LABELS[getUpscalePlan(upscaleFactor, upscaleStrategy).strategy].toLowerCase()
+                      })`}
+                    </Alert>
+                  )}
+                  {fill.mode === 'crop' && cropSettings?.suggested && !editingCrop && !processedImage && (
+                    <Typography variant="body2" color="text.secondary" align="center" sx={{ mb: 1 }}>
+                      The crop was placed on the image's subject automatically. Process it as it is or adjust it.
+                    </Typography>
+                  )}
                   <Box sx={{ 
                     textAlign: 'center', 
                     '& > button': { 
@@ -467,102 +1060,176 @@ function App() {
                       minWidth: { xs: '120px', sm: '140px' } 
                     } 
                   }}>
-                    {!selectingCenter && !processedImage && !centerPoint && (
+                    {fill.mode !== 'crop' && !processedImage && processButton}
+                    {fill.mode === 'crop' && !editingCrop && !processedImage && !cropSettings && (
                       <Button 
                         variant="contained" 
                         color="primary"
-                        onClick={startCentering}
+                        onClick={startEditing}
                         size="large"
                       >
-                        Set Center Point
+                        Set Crop
                       </Button>
                     )}
-                    {selectingCenter && (
+                    {editingCrop && (
                       <>
                         <Button 
                           variant="contained" 
                           color="error"
-                          onClick={cancelCentering}
+                          onClick={cancelEditing}
                           size="large"
                         >
                           Cancel
                         </Button>
-                        {centerPoint && (
-                          <Button 
-                            variant="contained" 
+                        {report?.suggestedCrop && (
+                          <Button
+                            variant="outlined"
                             color="primary"
-                            onClick={confirmCentering}
+                            onClick={applySuggestedCrop}
                             size="large"
                           >
-                            Confirm
+                            Auto Crop
                           </Button>
                         )}
-                      </>
-                    )}
-                    {!selectingCenter && centerPoint && !processedImage && (
-                      <>
                         <Button 
-                          variant="outlined" 
+                          variant="contained" 
                           color="primary"
-                          onClick={startCentering}
+                          onClick={confirmEditing}
                           size="large"
                         >
-                          Adjust Center
+                          Confirm
                         </Button>
+                      </>
+                    )}
+                    {fill.mode === 'crop' && !editingCrop && cropSettings && !processedImage && (
+                      <>
                         <Button 
-                          variant="contained" 
+                          variant="outlined" 
                           color="primary"
-                          onClick={handleProcess}
-                          disabled={processing}
+                          onClick={startEditing}
                           size="large"
                         >
-                          {processing ? (
-                            <>
-                              <CircularProgress size={24} sx={{ mr: 1 }} color="inherit" />
-                              Processing...
-                            </>
-                          ) : (
-                            'Process Image'
-                          )}
+                          Adjust Crop
                         </Button>
+                        {processButton}
                       </>
                     )}
                   </Box>
+                  {processing && jobProgress && (
+                    <Box sx={{ mt: 2 }}>
+                      <LinearProgress
+                        variant={jobProgress.status === 'queued' ? 'indeterminate' : 'determinate'}
+                        value={jobProgress.progress}
+                      />
+                      <Typography variant="body2" color="text.secondary" align="center" sx={{ mt: 1 }}>
+                        {jobProgress.status === 'queued'
+                          ? `Waiting for the server (${jobProgress.position} ${jobProgress.position === 1 ? 'image' : 'images'} ahead)`
+                          : `Processing on the server: ${jobProgress.progress}%`}
+                      </Typography>
+                    </Box>
+                  )}
+                  {processError && (
+                    <Alert severity="error" onClose={() => setProcessError(null)} sx={{ mt: 2 }}>
+                      {processError}
+                    </Alert>
+                  )}
                 </Paper>
               )}
 
               {processedImage && (
                 <Paper sx={{ p: 4 }}>
                   <Typography variant="h6" gutterBottom align="center">
-                    Processed Image
+                    {outputReport?.panels ? 'Processed Panels' : 'Processed Image'}
                   </Typography>
-                  <Box sx={{
-                    position: 'relative',
-                    width: '100%',
-                    pt: '75%', // 4:3 Aspect Ratio
-                    mb: 2
-                  }}>
-                    <img 
-                      src={processedImage} 
-                      alt="Processed" 
-                      style={{
-                        position: 'absolute',
-                        top: 0,
-                        left: 0,
-                        width: '100%',
-                        height: '100%',
-                        objectFit: 'contain',
-                      }}
-                    />
-                  </Box>
-                  <Box sx={{ textAlign: 'center' }}>
+                  {outputReport?.panels ? (
+                    <Alert severity="success" sx={{ mb: 2 }}>
+                      <Typography gutterBottom>
+                        {`Split into ${outputReport.panels.length} prints at ${outputReport.dpi} DPI, one for each plate, in a ZIP.`}
+                        {outputReport.upscaleFactor > 1 && ` Upscaled ${outputReport.upscaleFactor.toFixed(1)}x (${
+                          UPSCALE_STRATEGY_LABELS[outputReport.upscaleStrategy].toLowerCase()
+                        }), printing at about ${outputReport.effectiveDpi} DPI.`}
+                      </Typography>
+                      <Box component="ul" sx={{ pl: 2, mb: 0 }}>
+                        {outputReport.panels.map((name) => (
+                          <li key={name}>{name}</li>
+                        ))}
+                      </Box>
+                    </Alert>
+                  ) : (
+                    <>
+                      <Box sx={{ textAlign: 'center', mb: 2 }}>
+                        <ToggleButtonGroup
+                          size="small"
+                          exclusive
+                          value={resultView}
+                          onChange={(e, view) => view && setResultView(view)}
+                        >
+                          <ToggleButton value="compare">Compare</ToggleButton>
+                          <ToggleButton value="wall">On the wall</ToggleButton>
+                        </ToggleButtonGroup>
+                      </Box>
+                      {resultView === 'wall' ? (
+                        <WallMockup src={processedImage} preset={preset} />
+                      ) : (
+                        <CompareViewer
+                          original={image}
+                          processed={processedImage}
+                          preset={preset}
+                          settings={cropSettings}
+                          mode={fill.mode}
+                          colour={fill.colour}
+                        />
+                      )}
+                      {outputReport && (
+                        <Alert severity="success" sx={{ mb: 2 }}>
+                          {outputReport.fallback && (
+                            <Typography gutterBottom>
+                              The server couldn't be reached, so the image was processed in your browser.
+                            </Typography>
+                          )}
+                          <Typography gutterBottom>
+                            {outputReport.local
+                              ? `Saved as sRGB at ${outputReport.dpi} DPI, without an embedded colour profile.`
+                              : `Saved as 8-bit sRGB at ${outputReport.dpi} DPI.`}
+                            {` ${OUTPUT_FORMATS[outputReport.format].label}${
+                              outputReport.quality ? ` at quality ${outputReport.quality}` : ''
+                            }, ${formatFileSize(outputReport.size)}.`}
+                            {outputReport.budgetMet === false && ' Still over the size limit even at the lowest quality.'}
+                            {outputReport.upscaleFactor > 1 && ` Upscaled ${outputReport.upscaleFactor.toFixed(1)}x (${
+                              UPSCALE_STRATEGY_LABELS[outputReport.upscaleStrategy].toLowerCase()
+                            }), printing at about ${outputReport.effectiveDpi} DPI.`}
+                            {outputReport.format === 'tiff' && " Most browsers can't show TIFFs, so the preview may stay blank."}
+                          </Typography>
+                          {outputReport.conversions.length > 0 && (
+                            <Box component="ul" sx={{ pl: 2, mb: 0 }}>
+                              {outputReport.conversions.map((code) => (
+                                <li key={code}>
+                                  {COLOUR_CONVERSION_MESSAGES[code] || code}
+                                  {code === 'icc-to-srgb' && ` (${outputReport.sourceProfile})`}
+                                </li>
+                              ))}
+                            </Box>
+                          )}
+                        </Alert>
+                      )}
+                    </>
+                  )}
+                  <Box sx={{ textAlign: 'center', '& > button': { mx: 1 } }}>
+                    <Button
+                      variant="outlined"
+                      color="primary"
+                      onClick={handleEditAgain}
+                      size="large"
+                    >
+                      Edit Again
+                    </Button>
                     <Button 
                       variant="contained" 
                       color="primary"
                       onClick={handleDownload}
                       size="large"
                     >
-                      Download
+                      {outputReport?.panels ? 'Download ZIP' : 'Download'}
                     </Button>
                   </Box>
                 </Paper>
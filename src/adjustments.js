@@ -0,0 +1,121 @@
+// Colour adjustments for the print, shared by the React app and
+// lib/pipeline.js. The server applies them to the output pixels with sharp's
+// linear, recomb and gamma, in that order; the editor previews the same steps
+// with an SVG filter (see AdjustmentFilter) and the browser worker with
+// adjustPixels. All three use the same matrices, so they agree to within a
+// level of rounding.
+//
+// Adjustments are { brightness, contrast, saturation, gamma, temperature,
+// tint }, sent to /process-image as form fields of the same names.
+
+// `neutral` leaves the image as it is
+export const ADJUSTMENTS = {
+  brightness: { label: 'Brightness', min: -50, max: 50, step: 1, neutral: 0 },
+  contrast: { label: 'Contrast', min: -50, max: 50, step: 1, neutral: 0 },
+  saturation: { label: 'Saturation', min: -100, max: 100, step: 1, neutral: 0 },
+  gamma: { label: 'Gamma', min: 0.5, max: 2, step: 0.05, neutral: 1 },
+  temperature: { label: 'Temperature', min: -50, max: 50, step: 1, neutral: 0 },
+  tint: { label: 'Tint', min: -50, max: 50, step: 1, neutral: 0 },
+};
+
+export const DEFAULT_ADJUSTMENTS = Object.fromEntries(
+  Object.entries(ADJUSTMENTS).map(([name, { neutral }]) => [name, neutral])
+);
+
+// Roughly how a metal print shifts an image compared to a screen: darker
+// mid-tones and stronger colours. Only used for the soft-proof preview.
+export const PRINT_SIMULATION = { ...DEFAULT_ADJUSTMENTS, brightness: -6, contrast: 8, saturation: 15, gamma: 0.9 };
+
+// Share of the pixels that may clip before the histogram warns
+export const CLIPPING_WARNING = 0.01;
+
+export const hasAdjustments = (adjustments) =>
+  Object.entries(ADJUSTMENTS).some(([name, { neutral }]) => adjustments[name] !== neutral);
+
+// Check adjustments from request fields, filling in the neutral value for
+// missing ones. Throws an Error saying what's wrong.
+export const normaliseAdjustments = (fields) => Object.fromEntries(
+  Object.entries(ADJUSTMENTS).map(([name, { label, min, max, neutral }]) => {
+    if (fields[name] === undefined || fields[name] === '') return [name, neutral];
+    const value = Number(fields[name]);
+    if (!(value >= min && value <= max)) throw new Error(`${label} must be from ${min} to ${max}`);
+    return [name, value];
+  })
+);
+
+// The changed adjustments as /process-image form fields
+export const getAdjustmentFields = (adjustments) => Object.fromEntries(
+  Object.entries(ADJUSTMENTS)
+    .filter(([name, { neutral }]) => adjustments[name] !== neutral)
+    .map(([name]) => [name, String(adjustments[name])])
+);
+
+// Luma weights of the SVG and CSS saturate filters
+const LUMA = [0.213, 0.715, 0.072];
+
+// 3x3 RGB matrix that scales saturation by `saturation` around the luma, the
+// same matrix as <feColorMatrix type="saturate">
+export const getSaturationMatrix = (saturation) => [0, 1, 2].map((row) =>
+  LUMA.map((weight, column) => weight * (1 - saturation) + (row === column ? saturation : 0)));
+
+// The adjustments as the three steps every renderer follows: a linear
+// v * slope + intercept per RGB channel (0-255), a saturation factor (see
+// getSaturationMatrix) and a gamma, where output = input ^ (1 / gamma).
+export const getAdjustmentSteps = (adjustments) => {
+  const { brightness, contrast, saturation, gamma, temperature, tint } = { ...DEFAULT_ADJUSTMENTS, ...adjustments };
+  const gain = 1 + brightness / 100;
+  const stretch = 1 + contrast / 100;
+  // White balance: warmer trades blue for red, tint trades green for magenta
+  const balance = [1 + temperature / 250, 1 - tint / 250, 1 - temperature / 250];
+  return {
+    // Contrast stretches around the middle grey
+    slopes: balance.map((channel) => channel * gain * stretch),
+    intercept: 128 * (1 - stretch),
+    saturation: 1 + saturation / 100,
+    gamma,
+  };
+};
+
+// sharp truncates each step to whole values, so do the same. The nudge keeps
+// floating point noise (254.9999 for white) from losing a level.
+const toByte = (value) => Math.min(255, Math.max(0, Math.floor(value + 1e-6)));
+
+// Apply adjustments in place to 8-bit pixels with `channels` per pixel (RGB
+// first), such as canvas ImageData with 4
+export const adjustPixels = (data, channels, adjustments) => {
+  const { slopes, intercept, saturation, gamma } = getAdjustmentSteps(adjustments);
+  // In single precision like sharp's linear(), which turns 24 into 23.99999
+  const f = Math.fround;
+  const linear = slopes.map((slope) =>
+    Array.from({ length: 256 }, (_, value) => Math.min(255, Math.max(0, Math.floor(f(f(f(slope) * value) + f(intercept)))))));
+  const matrix = getSaturationMatrix(saturation);
+  const curve = Array.from({ length: 256 }, (_, value) => toByte(255 * (value / 255) ** (1 / gamma)));
+
+  for (let i = 0; i < data.length; i += channels) {
+    const rgb = [linear[0][data[i]], linear[1][data[i + 1]], linear[2][data[i + 2]]];
+    for (let c = 0; c < 3; c++) {
+      const [r, g, b] = matrix[c];
+      data[i + c] = curve[toByte(r * rgb[0] + g * rgb[1] + b * rgb[2])];
+    }
+  }
+};
+
+// Per-channel histograms of 8-bit pixels, and the share of the pixels with a
+// channel clipped to 0 (shadows) or 255 (highlights)
+export const getHistogram = (data, channels) => {
+  const counts = [0, 1, 2].map(() => new Uint32Array(256));
+  let shadows = 0;
+  let highlights = 0;
+  for (let i = 0; i < data.length; i += channels) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    counts[0][r]++;
+    counts[1][g]++;
+    counts[2][b]++;
+    if (r === 0 || g === 0 || b === 0) shadows++;
+    if (r === 255 || g === 255 || b === 255) highlights++;
+  }
+  const pixels = data.length / channels;
+  return { counts, shadows: shadows / pixels, highlights: highlights / pixels };
+};
@@ -0,0 +1,239 @@
+// Talking to the image processing server
+
+// Where the processing server lives. Self-hosted builds can set it at runtime
+// in config.js (see public/config.js) or at build time with VITE_API_BASE.
+const DEFAULT_API_BASE = import.meta.env.DEV
+  ? 'http://localhost:3001'
+  : 'https://displatecustom.onrender.com';
+
+export const API_BASE = (window.APP_CONFIG?.apiBase || import.meta.env.VITE_API_BASE || DEFAULT_API_BASE)
+  .replace(/\/+$/, '');
+
+// A request the server answered with an error. `code` is from the JSON error
+// schema (see ERROR_MESSAGES), or undefined when the answer wasn't JSON.
+export class RequestError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// RequestError for a failed response, e.g. `{ error, code }` from our server
+// or an HTML page from a proxy
+export const readErrorResponse = async (response, action) => {
+  const text = await response.text();
+  try {
+    const data = JSON.parse(text);
+    return new RequestError(data.error || `${action} failed: ${response.status}`, data.code);
+  } catch {
+    return new RequestError(`${action} failed: ${response.status} ${text}`);
+  }
+};
+
+// Server status from GET /health: version, presets, features and upload
+// limits, or null for an older server without it
+export const fetchHealth = async () => {
+  const response = await fetch(`${API_BASE}/health`, { mode: 'cors' });
+  // Servers from before /health existed support everything the app knew then
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Health check failed: ${response.status}`);
+  }
+  return response.json();
+};
+
+// Validation report for an image from POST /analyze. `fields` can hold the
+// crop fields of processFile, to check that crop for detail in the margin.
+export const analyzeFile = async (file, preset, fields = {}) => {
+  const formData = new FormData();
+  formData.append('image', file);
+  formData.append('preset', preset.id);
+  Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+
+  const response = await fetch(`${API_BASE}/analyze`, {
+    method: 'POST',
+    mode: 'cors',
+    body: formData
+  });
+  if (!response.ok) {
+    throw await readErrorResponse(response, 'Analysis');
+  }
+  return response.json();
+};
+
+// The server couldn't be reached at all, as opposed to rejecting the request
+export class ServerUnreachableError extends Error {}
+
+// How often to ask the server about a running job
+const JOB_POLL_INTERVAL = 500;
+
+// POST a form, telling a server that can't be reached apart from one that
+// rejects the request
+const postForm = async (path, formData, headers = {}) => {
+  let response;
+  try {
+    response = await fetch(`${API_BASE}${path}`, {
+      method: 'POST',
+      mode: 'cors',
+      headers,
+      body: formData
+    });
+  } catch (error) {
+    throw new ServerUnreachableError(error.message);
+  }
+
+  // Render answers with a gateway error while the instance is down
+  if ([502, 503, 504].includes(response.status)) {
+    throw new ServerUnreachableError(`Server unavailable: ${response.status}`);
+  }
+  return response;
+};
+
+// The processed JPEG and what the server did to it, from its headers
+const readResult = async (response) => {
+  if (!response.ok) {
+    throw await readErrorResponse(response, 'Processing');
+  }
+
+  const conversions = response.headers.get('X-Colour-Conversions');
+  const budgetMet = response.headers.get('X-Size-Budget-Met');
+  const quality = response.headers.get('X-Output-Quality');
+  return {
+    blob: await response.blob(),
+    report: {
+      // Servers from before output formats only made JPEGs
+      format: response.headers.get('X-Output-Format') || 'jpeg',
+      quality: quality && quality !== 'lossless' ? Number(quality) : null,
+      size: Number(response.headers.get('X-Output-Size')) || Number(response.headers.get('Content-Length')),
+      budgetMet: budgetMet ? budgetMet === 'true' : null,
+      dpi: response.headers.get('X-Output-Dpi'),
+      sourceProfile: response.headers.get('X-Source-Icc-Profile'),
+      conversions: conversions ? conversions.split(',') : [],
+      upscaleFactor: parseFloat(response.headers.get('X-Upscale-Factor')),
+      upscaleStrategy: response.headers.get('X-Upscale-Strategy'),
+      effectiveDpi: response.headers.get('X-Effective-Dpi'),
+    },
+  };
+};
+
+// GET something under /jobs, e.g. a job status or its result
+const getJob = async (path) => {
+  const response = await fetch(`${API_BASE}/jobs/${path}`, { mode: 'cors' });
+  if (!response.ok) {
+    throw await readErrorResponse(response, 'Processing');
+  }
+  return response;
+};
+
+// Process an image as a server job: POST /jobs, then poll GET /jobs/:id
+// until it's done. `fields` are the /process-image form fields besides the
+// image; `onProgress` gets every job status ({ status, progress, position }).
+// Servers without jobs process it in a single POST /process-image instead.
+// Resolves to the JPEG and what the server did to it.
+export const processFile = async (file, fields, onProgress = () => {}) => {
+  const formData = new FormData();
+  formData.append('image', file);
+  Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+
+  const created = await postForm('/jobs', formData);
+  if (created.status === 404) {
+    return readResult(await postForm('/process-image', formData, { 'Accept': 'image/jpeg' }));
+  }
+  if (!created.ok) {
+    throw await readErrorResponse(created, 'Processing');
+  }
+
+  let job = await created.json();
+  onProgress(job);
+  while (job.status === 'queued' || job.status === 'processing') {
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL));
+    job = await (await getJob(job.id)).json();
+    onProgress(job);
+  }
+  if (job.status === 'failed') {
+    throw new RequestError(job.error, job.code);
+  }
+  return readResult(await getJob(`${job.id}/result`));
+};
+
+// Process several images into one ZIP with POST /process-batch. `settings`
+// are the /process-image fields for each file. While the ZIP downloads,
+// `onProgress` gets the batch's job status, whose `files` say how far each
+// image got ({ name, status, code }). Resolves to the ZIP.
+export const processBatch = async (files, settings, onProgress = () => {}) => {
+  const formData = new FormData();
+  files.forEach((file) => formData.append('images', file));
+  formData.append('settings', JSON.stringify(settings));
+
+  const response = await postForm('/process-batch', formData);
+  if (!response.ok) {
+    throw await readErrorResponse(response, 'Batch processing');
+  }
+
+  const jobId = response.headers.get('X-Batch-Job');
+  const reportProgress = async () => onProgress(await (await getJob(jobId)).json());
+  let downloading = true;
+  const poll = async () => {
+    while (downloading) {
+      await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL));
+      if (downloading) await reportProgress();
+    }
+  };
+  // Progress is only for show, so a failed poll doesn't fail the batch
+  const warn = (error) => console.warn('Batch progress unavailable:', error);
+  const polling = jobId && poll().catch(warn);
+  let blob;
+  try {
+    blob = await response.blob();
+  } finally {
+    downloading = false;
+    await polling;
+  }
+  // The last statuses, including which images failed
+  if (jobId) await reportProgress().catch(warn);
+  return blob;
+};
+
+// Split an image across the plates of a multi-panel set with POST
+// /process-split. `fields` are those of processFile plus the panel `layout`
+// and `gap`. Resolves to a ZIP with a print for each panel, the names of the
+// panel files in it and what the server did to the picture.
+export const processSplitFile = async (file, fields) => {
+  const formData = new FormData();
+  formData.append('image', file);
+  Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+
+  const response = await postForm('/process-split', formData);
+  if (!response.ok) {
+    throw await readErrorResponse(response, 'Processing');
+  }
+  const conversions = response.headers.get('X-Colour-Conversions');
+  return {
+    blob: await response.blob(),
+    names: response.headers.get('X-Panel-Files').split(','),
+    report: {
+      dpi: response.headers.get('X-Output-Dpi'),
+      conversions: conversions ? conversions.split(',') : [],
+      upscaleFactor: parseFloat(response.headers.get('X-Upscale-Factor')),
+      upscaleStrategy: response.headers.get('X-Upscale-Strategy'),
+      effectiveDpi: response.headers.get('X-Effective-Dpi'),
+    },
+  };
+};
+
+// The image at a URL, downloaded by the server (POST /fetch-image), as a File
+// to open like an upload
+export const fetchImageFromUrl = async (url) => {
+  const response = await fetch(`${API_BASE}/fetch-image`, {
+    method: 'POST',
+    mode: 'cors',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url }),
+  });
+  if (!response.ok) {
+    throw await readErrorResponse(response, 'Import');
+  }
+  const blob = await response.blob();
+  const name = decodeURIComponent(response.headers.get('X-Source-Name') || 'image');
+  return new File([blob], name, { type: blob.type });
+};
@@ -0,0 +1,182 @@
+// Canvas drawing shared by the fill preview and the in-browser processor.
+// Sticks to OffscreenCanvas so it also runs inside a Web Worker.
+import { getFillRect, getPrintGeometry, getRotatedBounds } from './geometry.js';
+import { SHEEN_STOPS } from './mockup.js';
+
+export const createCanvas = (width, height) =>
+  new OffscreenCanvas(Math.max(1, Math.round(width)), Math.max(1, Math.round(height)));
+
+// An <img> for a URL, once it has loaded. Not available inside the worker.
+export const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = reject;
+  img.src = src;
+});
+
+// A file's contents as a data URL
+export const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+// Works for <img> elements and ImageBitmaps alike
+const getSourceSize = (source) => ({
+  width: source.naturalWidth || source.width,
+  height: source.naturalHeight || source.height,
+});
+
+// The image turned by `rotation` degrees and scaled by `scale`, on a canvas
+// the size of its bounding box with white corners like the server's rotate()
+export const drawRotated = (source, rotation, scale = 1) => {
+  const size = getSourceSize(source);
+  const bounds = getRotatedBounds(size.width, size.height, rotation);
+  const canvas = createCanvas(bounds.width * scale, bounds.height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate((rotation * Math.PI) / 180);
+  ctx.drawImage(source, (-size.width * scale) / 2, (-size.height * scale) / 2, size.width * scale, size.height * scale);
+  return canvas;
+};
+
+// Repeat the image outwards from `fill`, flipping every other copy, which is
+// what sharp's extendWith: 'mirror' does
+const drawMirrored = (ctx, source, fill, output) => {
+  const first = {
+    x: -Math.ceil(fill.left / fill.width),
+    y: -Math.ceil(fill.top / fill.height),
+  };
+  const last = {
+    x: Math.ceil((output.width - fill.left - fill.width) / fill.width),
+    y: Math.ceil((output.height - fill.top - fill.height) / fill.height),
+  };
+  for (let y = first.y; y <= last.y; y++) {
+    for (let x = first.x; x <= last.x; x++) {
+      const flipX = Math.abs(x) % 2 === 1;
+      const flipY = Math.abs(y) % 2 === 1;
+      ctx.save();
+      ctx.translate(fill.left + (x + (flipX ? 1 : 0)) * fill.width, fill.top + (y + (flipY ? 1 : 0)) * fill.height);
+      ctx.scale(flipX ? -1 : 1, flipY ? -1 : 1);
+      ctx.drawImage(source, 0, 0, fill.width, fill.height);
+      ctx.restore();
+    }
+  }
+};
+
+// Draw the whole image, rotated, into the canvas behind `ctx` and fill the
+// space around it the way a fill mode (see FILL_MODES) does on the server.
+// Returns where the image ended up.
+export const drawFill = (ctx, source, rotation, mode, colour) => {
+  const output = { width: ctx.canvas.width, height: ctx.canvas.height };
+  const size = getSourceSize(source);
+  const bounds = getRotatedBounds(size.width, size.height, rotation);
+  const fill = getFillRect(bounds.width, bounds.height, output);
+  const rotated = drawRotated(source, rotation, fill.width / bounds.width);
+
+  if (mode === 'pad') {
+    ctx.fillStyle = colour;
+    ctx.fillRect(0, 0, output.width, output.height);
+  } else if (mode === 'blur') {
+    // Cover the output with a blurred copy, like resize(fit: 'cover').blur()
+    const coverScale = Math.max(output.width / rotated.width, output.height / rotated.height);
+    const width = rotated.width * coverScale;
+    const height = rotated.height * coverScale;
+    ctx.filter = `blur(${Math.max(output.width, output.height) / 100}px)`;
+    ctx.drawImage(rotated, (output.width - width) / 2, (output.height - height) / 2, width, height);
+    ctx.filter = 'none';
+  } else if (mode === 'mirror') {
+    drawMirrored(ctx, rotated, fill, output);
+  }
+  ctx.drawImage(rotated, fill.left, fill.top, fill.width, fill.height);
+  return fill;
+};
+
+// The print processor.worker.js makes: the upright image cropped or filled
+// for /process-image `fields`, at the output size. Returns the canvas, plus
+// the output size and scale factor from getPrintGeometry.
+export const drawPrint = (source, fields, preset) => {
+  const size = getSourceSize(source);
+  const { rotation, cropRect, output, factor } = getPrintGeometry(size.width, size.height, fields, preset);
+
+  const canvas = createCanvas(output.width, output.height);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  if (cropRect) {
+    const rotated = rotation === 0 ? source : drawRotated(source, rotation);
+    // JPEGs have no transparency; fill with white like the server's flatten()
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, output.width, output.height);
+    ctx.drawImage(rotated, cropRect.left, cropRect.top, cropRect.width, cropRect.height, 0, 0, output.width, output.height);
+  } else {
+    // Draws the image where getPrintGeometry's `fill` says
+    drawFill(ctx, source, rotation, fields.mode, fields.background);
+  }
+  return { canvas, output, factor };
+};
+
+const tracePolygon = (ctx, points) => {
+  ctx.beginPath();
+  points.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+  ctx.closePath();
+};
+
+// Draw a wall mockup (see getMockupLayout) of the image onto a MOCKUP_SIZE
+// canvas: room, size reference, shadow, frame, the plate and its sheen
+export const drawMockup = (ctx, source, layout) => {
+  const { width, height } = ctx.canvas;
+  const size = getSourceSize(source);
+
+  ctx.fillStyle = layout.room.floor;
+  ctx.fillRect(0, 0, width, height);
+  const wallLight = ctx.createLinearGradient(0, 0, 0, height);
+  wallLight.addColorStop(0, 'rgba(255, 255, 255, 0.12)');
+  wallLight.addColorStop(1, 'rgba(0, 0, 0, 0.12)');
+  tracePolygon(ctx, layout.wall);
+  ctx.fillStyle = layout.room.wall;
+  ctx.fill();
+  ctx.fillStyle = wallLight;
+  ctx.fill();
+  tracePolygon(ctx, layout.baseboard);
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.15)';
+  ctx.fill();
+
+  if (layout.silhouette) {
+    const { path, x, y, scaleX, scaleY } = layout.silhouette;
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.scale(scaleX, scaleY);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.fill(new Path2D(path));
+    ctx.restore();
+  }
+
+  ctx.save();
+  ctx.shadowColor = 'rgba(0, 0, 0, 0.4)';
+  ctx.shadowBlur = layout.shadow.blur;
+  ctx.shadowOffsetX = layout.shadow.x;
+  ctx.shadowOffsetY = layout.shadow.y;
+  tracePolygon(ctx, layout.outer);
+  ctx.fillStyle = layout.frame.colour || '#808080';
+  ctx.fill();
+  ctx.restore();
+
+  ctx.imageSmoothingQuality = 'high';
+  layout.strips.forEach((strip) => {
+    const sourceX = strip.u0 * size.width;
+    // Half a pixel of overlap hides the seams between strips
+    ctx.drawImage(source, sourceX, 0, (strip.u1 - strip.u0) * size.width, size.height,
+      strip.x, strip.y, strip.width + 0.5, strip.height);
+  });
+
+  const xs = layout.inner.map((point) => point.x);
+  const ys = layout.inner.map((point) => point.y);
+  const sheen = ctx.createLinearGradient(Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys));
+  SHEEN_STOPS.forEach(({ offset, opacity }) => sheen.addColorStop(offset, `rgba(255, 255, 255, ${opacity})`));
+  tracePolygon(ctx, layout.inner);
+  ctx.fillStyle = sheen;
+  ctx.fill();
+};
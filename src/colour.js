@@ -0,0 +1,53 @@
+// Colour handling shared by the React app and server.js
+
+// sharp's metadata.depth values: bits per sample, whether samples are
+// floating point, and how the report names them
+export const SAMPLE_DEPTHS = {
+  uchar: { bits: 8, float: false, label: '8-bit' },
+  char: { bits: 8, float: false, label: 'signed 8-bit' },
+  ushort: { bits: 16, float: false, label: '16-bit' },
+  short: { bits: 16, float: false, label: 'signed 16-bit' },
+  uint: { bits: 32, float: false, label: '32-bit' },
+  int: { bits: 32, float: false, label: 'signed 32-bit' },
+  float: { bits: 32, float: true, label: '32-bit floating point' },
+  complex: { bits: 64, float: true, label: 'complex' },
+  double: { bits: 64, float: true, label: '64-bit floating point' },
+  dpcomplex: { bits: 128, float: true, label: 'double complex' },
+};
+
+// Messages for the colour conversion codes the server reports. Reducing the
+// bit depth is `<depth>-to-8bit`, e.g. ushort-to-8bit.
+export const COLOUR_CONVERSION_MESSAGES = {
+  'cmyk-to-rgb': 'Converted from CMYK to RGB',
+  'grey-to-rgb': 'Converted from greyscale to RGB',
+  ...Object.fromEntries(Object.entries(SAMPLE_DEPTHS)
+    .filter(([depth]) => depth !== 'uchar')
+    .map(([depth, { label }]) => [`${depth}-to-8bit`, `Reduced from ${label} to 8 bits per channel`])),
+  'icc-to-srgb': 'Converted the embedded colour profile to sRGB',
+  'srgb-assigned': 'No colour profile found - treated as sRGB',
+  'alpha-flattened': 'Transparent areas filled with white',
+};
+
+// Work out which colour conversions the output pipeline applies to an image,
+// given its sharp metadata and ICC profile description
+export const getColourConversions = (metadata, iccDescription) => {
+  const conversions = [];
+  if (metadata.space === 'cmyk') {
+    conversions.push('cmyk-to-rgb');
+  } else if (metadata.channels - (metadata.hasAlpha ? 1 : 0) < 3) {
+    conversions.push('grey-to-rgb');
+  }
+  if (metadata.depth !== 'uchar') {
+    conversions.push(`${metadata.depth}-to-8bit`);
+  }
+  if (!metadata.icc) {
+    // Untagged RGB and greyscale are assumed to be sRGB already
+    if (metadata.space !== 'cmyk') conversions.push('srgb-assigned');
+  } else if (!/srgb/i.test(iccDescription || '')) {
+    conversions.push('icc-to-srgb');
+  }
+  if (metadata.hasAlpha) {
+    conversions.push('alpha-flattened');
+  }
+  return conversions;
+};
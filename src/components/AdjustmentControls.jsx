@@ -0,0 +1,53 @@
+import { Box, Button, FormControlLabel, Slider, Switch, Typography } from '@mui/material';
+import { ADJUSTMENTS, DEFAULT_ADJUSTMENTS, hasAdjustments } from '../adjustments';
+import Histogram from './Histogram';
+
+// Sliders for the colour adjustments (see src/adjustments.js), the soft-proof
+// switch and a histogram of the adjusted image. `onChange` gets the changed
+// adjustments only. Adjustments missing from `available` can't be changed.
+function AdjustmentControls({
+  src, adjustments, softProof, onChange, onSoftProofChange, available = Object.keys(ADJUSTMENTS),
+}) {
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+        <Typography variant="subtitle2" sx={{ flexGrow: 1 }}>Colour</Typography>
+        <FormControlLabel
+          control={<Switch checked={softProof} onChange={(e) => onSoftProofChange(e.target.checked)} />}
+          label="Print soft-proof"
+        />
+        <Button size="small" disabled={!hasAdjustments(adjustments)} onClick={() => onChange(DEFAULT_ADJUSTMENTS)}>
+          Reset
+        </Button>
+      </Box>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', columnGap: 2 }}>
+        {Object.entries(ADJUSTMENTS).map(([name, { label, min, max, step, neutral }]) => (
+          <Box key={name} sx={{ flex: '1 1 160px', px: 1 }}>
+            <Typography variant="body2">{label}</Typography>
+            <Slider
+              size="small"
+              value={adjustments[name]}
+              min={min}
+              max={max}
+              step={step}
+              marks={[{ value: neutral }]}
+              disabled={!available.includes(name)}
+              onChange={(e, value) => onChange({ [name]: value })}
+              onDoubleClick={() => onChange({ [name]: neutral })}
+              valueLabelDisplay="auto"
+            />
+          </Box>
+        ))}
+      </Box>
+      {softProof && (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          The preview shows roughly how a metal print comes out: darker and more saturated than your screen.
+          The soft-proof isn't applied to the download.
+        </Typography>
+      )}
+      <Histogram src={src} adjustments={adjustments} />
+    </Box>
+  );
+}
+
+export default AdjustmentControls;
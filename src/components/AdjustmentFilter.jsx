@@ -0,0 +1,42 @@
+import { getAdjustmentSteps, getSaturationMatrix, PRINT_SIMULATION } from '../adjustments';
+
+const CHANNELS = ['feFuncR', 'feFuncG', 'feFuncB'];
+
+// The steps of getAdjustmentSteps as filter primitives, on 0-1 values
+function FilterSteps({ adjustments }) {
+  const { slopes, intercept, saturation, gamma } = getAdjustmentSteps(adjustments);
+  return (
+    <>
+      <feComponentTransfer>
+        {CHANNELS.map((Channel, i) => (
+          <Channel key={Channel} type="linear" slope={slopes[i]} intercept={intercept / 255} />
+        ))}
+      </feComponentTransfer>
+      <feColorMatrix
+        type="matrix"
+        values={getSaturationMatrix(saturation).map((row) => [...row, 0, 0].join(' ')).concat('0 0 0 1 0').join(' ')}
+      />
+      <feComponentTransfer>
+        {CHANNELS.map((Channel) => (
+          <Channel key={Channel} type="gamma" amplitude={1} exponent={1 / gamma} offset={0} />
+        ))}
+      </feComponentTransfer>
+    </>
+  );
+}
+
+// An SVG filter that previews colour adjustments the way the server applies
+// them. Elements use it with `filter: url(#id)`. With `softProof` it also
+// darkens and saturates like a metal print (PRINT_SIMULATION).
+function AdjustmentFilter({ id, adjustments, softProof }) {
+  return (
+    <svg width="0" height="0" style={{ position: 'absolute' }} aria-hidden="true">
+      <filter id={id} colorInterpolationFilters="sRGB">
+        <FilterSteps adjustments={adjustments} />
+        {softProof && <FilterSteps adjustments={PRINT_SIMULATION} />}
+      </filter>
+    </svg>
+  );
+}
+
+export default AdjustmentFilter;
@@ -0,0 +1,245 @@
+import { useState, useEffect } from 'react';
+import {
+  Alert, Box, Button, Chip, Dialog, DialogActions, DialogContent, DialogTitle, IconButton,
+  LinearProgress, List, ListItem, ListItemAvatar, ListItemText, Paper, Typography,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import CropIcon from '@mui/icons-material/Crop';
+import CropEditor from './CropEditor';
+import { analyzeFile, processBatch } from '../api';
+import { getErrorMessage } from '../errors';
+import { DEFAULT_CROP_SETTINGS, calculateEditorCrop, getSuggestedCropSettings } from '../geometry';
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  processing: 'Processing',
+  done: 'Done',
+  failed: 'Failed',
+};
+
+const STATUS_COLOURS = {
+  queued: 'default',
+  processing: 'primary',
+  done: 'success',
+  failed: 'error',
+};
+
+// The item's own crop, or the one the server suggested for it
+const getItemCropSettings = (item) => item.cropSettings
+  || (item.report?.suggestedCrop ? getSuggestedCropSettings(item.report.suggestedCrop) : null);
+
+// Fields /process-batch needs for one item, the same ones /process-image
+// takes. `options` are the processing fields shared by every item.
+const getItemSettings = (item, preset, options) => {
+  const settings = { preset: preset.id, ...options };
+  if (options.mode !== 'crop') {
+    return item.cropSettings ? { ...settings, rotation: String(item.cropSettings.rotation) } : settings;
+  }
+  // Without a report there are no dimensions, so let the server center the crop
+  const cropSettings = getItemCropSettings(item);
+  if (!cropSettings || !item.report?.width) return settings;
+
+  const crop = calculateEditorCrop(item.report.width, item.report.height, cropSettings, preset);
+  return {
+    ...settings,
+    rotation: String(cropSettings.rotation),
+    cropX: String(crop.left / crop.bounds.width),
+    cropY: String(crop.top / crop.bounds.height),
+    cropWidth: String(crop.width / crop.bounds.width),
+    cropHeight: String(crop.height / crop.bounds.height),
+  };
+};
+
+// Short validation summary for the queue list
+const summarizeReport = (report) => {
+  if (!report) return 'Checking...';
+  if (report.error) return report.error;
+  const warnings = report.findings.filter((finding) => finding.severity !== 'info');
+  if (warnings.length === 0) return `${report.width}x${report.height} - ready`;
+  return `${report.width}x${report.height} - ${warnings.map((finding) => finding.message).join('; ')}`;
+};
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// Queue of images processed together into a ZIP by /process-batch
+function BatchQueue({ items, onItemsChange, preset, options, serverAvailable }) {
+  const [editingId, setEditingId] = useState(null);
+  const [editorSettings, setEditorSettings] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [batchError, setBatchError] = useState(null);
+
+  const updateItem = (id, changes) => {
+    onItemsChange((current) => current.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  // Analyze one image at a time, again whenever the preset changes
+  const pending = items.find((item) => item.report?.preset !== preset.id);
+  useEffect(() => {
+    if (!pending) return;
+    let cancelled = false;
+
+    const setReport = (report) => {
+      if (cancelled) return;
+      onItemsChange((current) => current.map((item) => (item.id === pending.id ? { ...item, report } : item)));
+    };
+    analyzeFile(pending.file, preset)
+      .then(setReport)
+      .catch((error) => setReport({ preset: preset.id, error: getErrorMessage(error) }));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [pending, preset, onItemsChange]);
+
+  const removeItem = (id) => {
+    const item = items.find((i) => i.id === id);
+    URL.revokeObjectURL(item.url);
+    onItemsChange((current) => current.filter((i) => i.id !== id));
+  };
+
+  const clearQueue = () => {
+    items.forEach((item) => URL.revokeObjectURL(item.url));
+    onItemsChange([]);
+  };
+
+  const openEditor = (item) => {
+    setEditingId(item.id);
+    setEditorSettings(getItemCropSettings(item) || DEFAULT_CROP_SETTINGS);
+  };
+
+  const saveEditor = () => {
+    updateItem(editingId, { cropSettings: { ...editorSettings, suggested: false } });
+    setEditingId(null);
+  };
+
+  const handleProcessAll = async () => {
+    try {
+      setProcessing(true);
+      setBatchError(null);
+      setProgress(0);
+      onItemsChange((current) => current.map((item) => ({ ...item, status: 'queued' })));
+
+      const settings = items.map((item) => getItemSettings(item, preset, options));
+      const zip = await processBatch(items.map((item) => item.file), settings, (job) => {
+        // The server's status for each image, in the order they were sent
+        onItemsChange((current) => current.map((item) => {
+          const index = items.findIndex((sent) => sent.id === item.id);
+          return index === -1 ? item : { ...item, status: job.files[index].status };
+        }));
+        setProgress(job.progress);
+      });
+      setProgress(100);
+      downloadBlob(zip, 'displate-batch.zip');
+    } catch (error) {
+      console.error('Failed to process batch:', error);
+      setBatchError(getErrorMessage(error));
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const editingItem = items.find((item) => item.id === editingId);
+
+  return (
+    <Paper sx={{ p: 4, mb: 3 }}>
+      <Typography variant="h6" gutterBottom align="center">
+        Batch ({items.length} {items.length === 1 ? 'image' : 'images'})
+      </Typography>
+
+      <List dense>
+        {items.map((item) => (
+          <ListItem
+            key={item.id}
+            secondaryAction={
+              <>
+                <IconButton edge="end" aria-label="Edit crop" onClick={() => openEditor(item)} disabled={processing}>
+                  <CropIcon />
+                </IconButton>
+                <IconButton edge="end" aria-label="Remove" onClick={() => removeItem(item.id)} disabled={processing} sx={{ ml: 1 }}>
+                  <DeleteIcon />
+                </IconButton>
+              </>
+            }
+            sx={{ pr: 12 }}
+          >
+            <ListItemAvatar>
+              <Box
+                component="img"
+                src={item.url}
+                alt=""
+                sx={{ width: 48, height: 48, objectFit: 'cover', borderRadius: 1, bgcolor: '#000', mr: 2 }}
+              />
+            </ListItemAvatar>
+            <ListItemText
+              primary={
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Typography variant="body2" noWrap>{item.file.name}</Typography>
+                  <Chip size="small" label={STATUS_LABELS[item.status]} color={STATUS_COLOURS[item.status]} />
+                  {item.cropSettings && <Chip size="small" variant="outlined" label="Custom crop" />}
+                  {!item.cropSettings && item.report?.suggestedCrop && (
+                    <Chip size="small" variant="outlined" label="Auto crop" />
+                  )}
+                </Box>
+              }
+              secondary={summarizeReport(item.report?.preset === preset.id ? item.report : null)}
+            />
+          </ListItem>
+        ))}
+      </List>
+
+      {processing && <LinearProgress variant="determinate" value={progress} sx={{ my: 2 }} />}
+
+      {batchError && (
+        <Alert severity="error" onClose={() => setBatchError(null)} sx={{ mb: 2 }}>
+          {batchError}
+        </Alert>
+      )}
+
+      {!serverAvailable && (
+        <Typography variant="body2" color="text.secondary" align="center" sx={{ mb: 2 }}>
+          Batch processing needs the server, which can&apos;t be reached right now.
+        </Typography>
+      )}
+
+      <Box sx={{ textAlign: 'center', '& > button': { mx: 1 } }}>
+        <Button variant="outlined" color="error" onClick={clearQueue} disabled={processing} size="large">
+          Clear
+        </Button>
+        <Button variant="contained" color="primary" onClick={handleProcessAll} disabled={processing || !serverAvailable} size="large">
+          {processing ? 'Processing...' : 'Process All as ZIP'}
+        </Button>
+      </Box>
+
+      <Dialog open={Boolean(editingItem)} onClose={() => setEditingId(null)} maxWidth="md" fullWidth>
+        <DialogTitle>Crop {editingItem?.file.name}</DialogTitle>
+        <DialogContent>
+          {editingItem && (
+            <CropEditor
+              src={editingItem.url}
+              settings={editorSettings}
+              preset={preset}
+              editing
+              onChange={setEditorSettings}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditingId(null)}>Cancel</Button>
+          <Button onClick={saveEditor} variant="contained">Save</Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+}
+
+export default BatchQueue;
@@ -0,0 +1,269 @@
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { Alert, Box, ToggleButton, ToggleButtonGroup, Typography } from '@mui/material';
+import { DEFAULT_CROP_SETTINGS, calculateEditorCrop, toPixelRect } from '../geometry';
+import { getUpscaleFactor } from '../upscale';
+import { drawFill, drawRotated, loadImage } from '../canvas';
+
+// Most the viewer zooms in: 2 screen pixels per output pixel
+const MAX_SCALE = 2;
+const WHEEL_STEP = 1.25;
+// CSS pixels per inch, which browsers fix at 96 whatever the screen
+const CSS_DPI = 96;
+// How close to the divider (in screen pixels) a drag moves it instead of panning
+const DIVIDER_GRAB = 12;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// The original, cropped or filled the way it was processed, at its own
+// resolution so zooming in shows the source pixels the output was made from
+const drawOriginal = (canvas, source, settings, mode, colour, output, preset) => {
+  const width = source.naturalWidth;
+  const height = source.naturalHeight;
+  const factor = getUpscaleFactor(width, height, settings, mode, preset);
+  const scale = Math.min(1, 1 / factor);
+  canvas.width = Math.round(output.width * scale);
+  canvas.height = Math.round(output.height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+
+  if (mode === 'crop') {
+    const crop = calculateEditorCrop(width, height, settings, preset);
+    const rect = toPixelRect(crop, Math.floor(crop.bounds.width), Math.floor(crop.bounds.height));
+    const rotated = settings.rotation ? drawRotated(source, settings.rotation) : source;
+    ctx.drawImage(rotated, rect.left, rect.top, rect.width, rect.height, 0, 0, canvas.width, canvas.height);
+  } else {
+    drawFill(ctx, source, settings.rotation, mode, colour);
+  }
+};
+
+// Before/after viewer: the original on the left of a draggable divider, the
+// processed image on the right, with zoom and pan shared by both. `original`
+// and `processed` are image URLs; the other props say how the original was
+// turned into the processed image.
+function CompareViewer({ original, processed, preset, settings, mode, colour }) {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const [containerSize, setContainerSize] = useState(null);
+  const [output, setOutput] = useState(null);
+  const [source, setSource] = useState(null);
+  const [processedFailed, setProcessedFailed] = useState(false);
+  const [split, setSplit] = useState(0.5);
+  // Zoom as screen pixels per output pixel (null fits the image), and the
+  // output pixel in the middle of the viewer
+  const [view, setView] = useState({ scale: null, center: null });
+
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    const observer = new ResizeObserver(() => {
+      const rect = container.getBoundingClientRect();
+      setContainerSize({ width: rect.width, height: rect.height });
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadImage(original)
+      .then((img) => {
+        if (!cancelled) setSource(img);
+      })
+      .catch((error) => console.error('Failed to load the original for comparison:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [original]);
+
+  useEffect(() => {
+    if (!source || !output) return;
+    drawOriginal(canvasRef.current, source, settings || DEFAULT_CROP_SETTINGS, mode, colour, output, preset);
+  }, [source, output, settings, mode, colour, preset]);
+
+  const ready = containerSize && output;
+  const fitScale = ready && Math.min(containerSize.width / output.width, containerSize.height / output.height);
+  const scale = ready && (view.scale ?? fitScale);
+
+  // Keep the image on screen: centered when it fits, edge to edge when it doesn't
+  const clampCenter = (center, atScale) => {
+    const half = { x: containerSize.width / 2 / atScale, y: containerSize.height / 2 / atScale };
+    const axis = (value, size, halfView) => (size <= halfView * 2 ? size / 2 : clamp(value, halfView, size - halfView));
+    return { x: axis(center.x, output.width, half.x), y: axis(center.y, output.height, half.y) };
+  };
+  const center = ready && clampCenter(view.center || { x: output.width / 2, y: output.height / 2 }, scale);
+
+  // Zoom to `nextScale`, keeping the output pixel under `anchor` (a point in
+  // the viewer, its middle by default) where it is
+  const zoomTo = (nextScale, anchor = { x: containerSize.width / 2, y: containerSize.height / 2 }) => {
+    const newScale = nextScale === null ? fitScale : Math.min(nextScale, MAX_SCALE);
+    const offset = { x: anchor.x - containerSize.width / 2, y: anchor.y - containerSize.height / 2 };
+    const point = { x: center.x + offset.x / scale, y: center.y + offset.y / scale };
+    setView({
+      scale: nextScale === null ? null : newScale,
+      center: { x: point.x - offset.x / newScale, y: point.y - offset.y / newScale },
+    });
+  };
+
+  // React's wheel listener is passive, so scrolling the page can't be stopped from it
+  const wheelRef = useRef(null);
+  wheelRef.current = (e) => {
+    if (!ready) return;
+    e.preventDefault();
+    const rect = containerRef.current.getBoundingClientRect();
+    const next = e.deltaY < 0 ? scale * WHEEL_STEP : scale / WHEEL_STEP;
+    zoomTo(next <= fitScale ? null : next, { x: e.clientX - rect.left, y: e.clientY - rect.top });
+  };
+  useEffect(() => {
+    const container = containerRef.current;
+    const handleWheel = (e) => wheelRef.current(e);
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    return () => container.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const handlePointerDown = (e) => {
+    if (!ready) return;
+    e.preventDefault();
+    containerRef.current.setPointerCapture(e.pointerId);
+    const rect = containerRef.current.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    dragRef.current = Math.abs(x - split * rect.width) <= DIVIDER_GRAB
+      ? { divider: true }
+      : { pointer: { x: e.clientX, y: e.clientY }, center };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    if (drag.divider) {
+      const rect = containerRef.current.getBoundingClientRect();
+      setSplit(clamp((e.clientX - rect.left) / rect.width, 0, 1));
+      return;
+    }
+    setView((current) => ({
+      ...current,
+      center: {
+        x: drag.center.x - (e.clientX - drag.pointer.x) / scale,
+        y: drag.center.y - (e.clientY - drag.pointer.y) / scale,
+      },
+    }));
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  // Zoom presets; 'print' shows the output at its physical size for the preset DPI
+  const zoomOptions = [
+    { value: 'fit', label: 'Fit', scale: null },
+    { value: 'print', label: 'Print size', scale: CSS_DPI / preset.dpi },
+    { value: '1', label: '100%', scale: 1 },
+    { value: '2', label: '200%', scale: 2 },
+  ];
+  const activeZoom = zoomOptions.find((option) => option.scale === view.scale)?.value ?? null;
+
+  const layerStyle = ready && {
+    position: 'absolute',
+    left: `${containerSize.width / 2 - center.x * scale}px`,
+    top: `${containerSize.height / 2 - center.y * scale}px`,
+    width: `${output.width * scale}px`,
+    height: `${output.height * scale}px`,
+    // Show pixels as squares once they're bigger than a screen pixel
+    imageRendering: scale > 1 ? 'pixelated' : 'auto',
+    maxWidth: 'none',
+  };
+
+  if (processedFailed) {
+    return (
+      <Alert severity="info" sx={{ mb: 2 }}>
+        This format can't be shown in the browser, so it can't be compared here. Download it to check it.
+      </Alert>
+    );
+  }
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Box
+        ref={containerRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        sx={{
+          position: 'relative',
+          width: '100%',
+          pt: '75%', // 4:3 Aspect Ratio
+          overflow: 'hidden',
+          bgcolor: '#000',
+          borderRadius: 1,
+          cursor: scale > fitScale ? 'grab' : 'default',
+          touchAction: 'none',
+          userSelect: 'none',
+        }}
+      >
+        <img
+          src={processed}
+          alt="Processed"
+          draggable={false}
+          onLoad={(e) => setOutput({ width: e.currentTarget.naturalWidth, height: e.currentTarget.naturalHeight })}
+          onError={() => setProcessedFailed(true)}
+          style={ready ? layerStyle : { visibility: 'hidden', position: 'absolute' }}
+        />
+        <Box sx={{ position: 'absolute', inset: 0, clipPath: `inset(0 ${(1 - split) * 100}% 0 0)` }}>
+          <canvas ref={canvasRef} style={ready ? layerStyle : { visibility: 'hidden', position: 'absolute' }} />
+        </Box>
+        {ready && (
+          <>
+            <Box
+              sx={{
+                position: 'absolute',
+                top: 0,
+                bottom: 0,
+                left: `${split * 100}%`,
+                width: '2px',
+                ml: '-1px',
+                bgcolor: 'rgba(255, 255, 255, 0.9)',
+                cursor: 'ew-resize',
+              }}
+            />
+            {['Original', 'Processed'].map((label, i) => (
+              <Typography
+                key={label}
+                variant="caption"
+                sx={{
+                  position: 'absolute',
+                  top: 8,
+                  [i === 0 ? 'left' : 'right']: 8,
+                  px: 1,
+                  borderRadius: 1,
+                  color: '#fff',
+                  bgcolor: 'rgba(0, 0, 0, 0.6)',
+                }}
+              >
+                {label}
+              </Typography>
+            ))}
+          </>
+        )}
+      </Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={activeZoom}
+          onChange={(e, value) => value && zoomTo(zoomOptions.find((option) => option.value === value).scale)}
+        >
+          {zoomOptions.map(({ value, label }) => (
+            <ToggleButton key={value} value={value}>{label}</ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+        {ready && (
+          <Typography variant="body2" color="text.secondary">
+            {Math.round(scale * 100)}% - drag to pan, scroll to zoom, drag the line to compare
+          </Typography>
+        )}
+      </Box>
+    </Box>
+  );
+}
+
+export default CompareViewer;
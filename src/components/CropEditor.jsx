@@ -0,0 +1,338 @@
+import { useMemo, useState, useRef, useLayoutEffect } from 'react';
+import { Box, Button, FormControlLabel, Slider, Switch, Typography } from '@mui/material';
+import RotateLeftIcon from '@mui/icons-material/RotateLeft';
+import RotateRightIcon from '@mui/icons-material/RotateRight';
+import { DEFAULT_CROP_SETTINGS, boundsToImagePoint, calculateEditorCrop, getGuideInsets, getOutputSize } from '../geometry';
+import { getOverlayDataUrl } from '../overlays';
+
+const MAX_ZOOM = 4;
+
+// Print guide lines drawn inside the crop window
+const GUIDE_STYLES = {
+  bleed: '1px dashed rgba(255, 82, 82, 0.9)',
+  safe: '1px dashed rgba(64, 196, 255, 0.9)',
+};
+
+// Straightening angle left over after the quarter turns, between -45 and 45
+const getFineRotation = (rotation) => rotation - 90 * Math.round(rotation / 90);
+
+// Outline of each panel of a multi-panel set, and the gaps between them
+const PANEL_BORDER = '1px solid rgba(255, 255, 255, 0.9)';
+const GAP_SHADE = 'rgba(0, 0, 0, 0.55)';
+
+// Percentages placing a rectangle inside a width x height area
+const toPercentRect = (rect, { width, height }) => ({
+  left: `${(rect.left / width) * 100}%`,
+  top: `${(rect.top / height) * 100}%`,
+  width: `${(rect.width / width) * 100}%`,
+  height: `${(rect.height / height) * 100}%`,
+});
+
+// Image preview with a draggable crop window. `settings` is the crop editor
+// state (see calculateEditorCrop); changes are reported through onChange.
+// With `panels` (a getPanelPlan result, whose picture is the preset) the
+// window is divided into the panels, with print guides on each one.
+// `overlays` are text and logo layers to show on the crop (see src/overlays.js)
+// and `filter` a CSS filter previewing colour adjustments on the image.
+function CropEditor({ src, imageRef, settings, preset, panels, overlays = [], filter, editing, onChange }) {
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const [containerSize, setContainerSize] = useState(null);
+  const [naturalSize, setNaturalSize] = useState(null);
+  const [showGrid, setShowGrid] = useState(true);
+  const [showGuides, setShowGuides] = useState(true);
+
+  // Track the container size so the crop window can be drawn in pixels.
+  // Its height comes from padding, which contentRect leaves out.
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    const observer = new ResizeObserver(() => {
+      const rect = container.getBoundingClientRect();
+      setContainerSize({ width: rect.width, height: rect.height });
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const handleImageLoad = (e) => {
+    setNaturalSize({ width: e.currentTarget.naturalWidth, height: e.currentTarget.naturalHeight });
+  };
+
+  const activeSettings = settings || DEFAULT_CROP_SETTINGS;
+  const ready = containerSize && naturalSize;
+
+  // Fit the rotated image into the container (like objectFit: contain)
+  const crop = ready && calculateEditorCrop(naturalSize.width, naturalSize.height, activeSettings, preset);
+  const scale = ready && Math.min(
+    containerSize.width / crop.bounds.width,
+    containerSize.height / crop.bounds.height
+  );
+  const guides = ready && (panels ? panels.guides : getGuideInsets(crop.orientation, preset));
+  // Drawn at the output size, like the server does, then scaled with the window
+  const { width: outputWidth, height: outputHeight } = ready ? getOutputSize(crop.orientation, preset) : {};
+  const overlayUrl = useMemo(
+    () => outputWidth && overlays.length > 0 && getOverlayDataUrl(overlays, outputWidth, outputHeight),
+    [overlays, outputWidth, outputHeight]
+  );
+  const offset = ready && {
+    x: (containerSize.width - crop.bounds.width * scale) / 2,
+    y: (containerSize.height - crop.bounds.height * scale) / 2,
+  };
+
+  // Move the crop center to a point on the rotated image, keeping the center
+  // the window actually ended up at so dragging past an edge doesn't stick
+  const moveCenterTo = (boundsPoint) => {
+    const imagePoint = boundsToImagePoint(boundsPoint, naturalSize.width, naturalSize.height, activeSettings.rotation);
+    const next = {
+      ...activeSettings,
+      center: { x: imagePoint.x / naturalSize.width, y: imagePoint.y / naturalSize.height },
+    };
+    const moved = calculateEditorCrop(naturalSize.width, naturalSize.height, next, preset);
+    const clamped = boundsToImagePoint(
+      { x: moved.left + moved.width / 2, y: moved.top + moved.height / 2 },
+      naturalSize.width,
+      naturalSize.height,
+      activeSettings.rotation
+    );
+    onChange({
+      ...next,
+      center: { x: clamped.x / naturalSize.width, y: clamped.y / naturalSize.height },
+    });
+  };
+
+  const toBoundsPoint = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left - offset.x) / scale,
+      y: (e.clientY - rect.top - offset.y) / scale,
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    if (!editing || !ready) return;
+    e.preventDefault();
+    containerRef.current.focus();
+    containerRef.current.setPointerCapture(e.pointerId);
+
+    const point = toBoundsPoint(e);
+    const insideWindow = point.x >= crop.left && point.x <= crop.left + crop.width &&
+      point.y >= crop.top && point.y <= crop.top + crop.height;
+
+    // Clicking outside the window centers it there, then drags from the new spot
+    let start = { x: crop.left + crop.width / 2, y: crop.top + crop.height / 2 };
+    if (!insideWindow) {
+      moveCenterTo(point);
+      start = point;
+    }
+    dragRef.current = { pointer: point, center: start };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragRef.current) return;
+    const point = toBoundsPoint(e);
+    const { pointer, center } = dragRef.current;
+    moveCenterTo({ x: center.x + point.x - pointer.x, y: center.y + point.y - pointer.y });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  // Arrow keys nudge the window by one screen pixel, ten with Shift
+  const handleKeyDown = (e) => {
+    const directions = {
+      ArrowLeft: { x: -1, y: 0 },
+      ArrowRight: { x: 1, y: 0 },
+      ArrowUp: { x: 0, y: -1 },
+      ArrowDown: { x: 0, y: 1 },
+    };
+    const direction = directions[e.key];
+    if (!editing || !ready || !direction) return;
+    e.preventDefault();
+
+    const step = (e.shiftKey ? 10 : 1) / scale;
+    moveCenterTo({
+      x: crop.left + crop.width / 2 + direction.x * step,
+      y: crop.top + crop.height / 2 + direction.y * step,
+    });
+  };
+
+  const rotateBy = (degrees) => {
+    onChange({ ...activeSettings, rotation: (activeSettings.rotation + degrees + 360) % 360 });
+  };
+
+  const handleStraighten = (e, value) => {
+    const quarterTurns = activeSettings.rotation - getFineRotation(activeSettings.rotation);
+    onChange({ ...activeSettings, rotation: quarterTurns + value });
+  };
+
+  const handleZoom = (e, value) => {
+    onChange({ ...activeSettings, zoom: value });
+  };
+
+  const guideLines = guides && showGuides && Object.entries(GUIDE_STYLES).map(([name, border]) => (
+    <Box
+      key={name}
+      sx={{
+        position: 'absolute',
+        left: `${guides[name].x * 100}%`,
+        right: `${guides[name].x * 100}%`,
+        top: `${guides[name].y * 100}%`,
+        bottom: `${guides[name].y * 100}%`,
+        border,
+      }}
+    />
+  ));
+
+  return (
+    <>
+      <Box
+        ref={containerRef}
+        tabIndex={editing ? 0 : -1}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onKeyDown={handleKeyDown}
+        sx={{
+          position: 'relative',
+          width: '100%',
+          pt: '75%',
+          mb: 2,
+          cursor: editing ? 'crosshair' : 'default',
+          overflow: 'hidden',
+          bgcolor: '#000',
+          borderRadius: 1,
+          touchAction: 'none',
+          outline: 'none',
+          '&:focus-visible': { boxShadow: (theme) => `0 0 0 2px ${theme.palette.primary.main}` },
+        }}
+      >
+        <Box sx={{ position: 'absolute', inset: 0 }}>
+          <img
+            ref={imageRef}
+            src={src}
+            alt="Original"
+            draggable={false}
+            onLoad={handleImageLoad}
+            style={{
+              position: 'absolute',
+              top: '50%',
+              left: '50%',
+              width: ready ? `${naturalSize.width * scale}px` : '100%',
+              height: ready ? `${naturalSize.height * scale}px` : '100%',
+              transform: `translate(-50%, -50%) rotate(${activeSettings.rotation}deg)`,
+              objectFit: 'contain',
+              filter,
+              visibility: ready ? 'visible' : 'hidden',
+            }}
+          />
+          {ready && (editing || settings) && (
+            <Box
+              sx={{
+                position: 'absolute',
+                left: `${offset.x + crop.left * scale}px`,
+                top: `${offset.y + crop.top * scale}px`,
+                width: `${crop.width * scale}px`,
+                height: `${crop.height * scale}px`,
+                border: '2px solid rgba(255, 255, 255, 0.8)',
+                boxShadow: `0 0 0 9999px rgba(0, 0, 0, ${editing ? 0.5 : 0.3})`,
+                pointerEvents: 'none',
+              }}
+            >
+              {overlayUrl && (
+                <img src={overlayUrl} alt="" style={{ position: 'absolute', inset: 0, width: '100%', height: '100%' }} />
+              )}
+              {editing && showGrid && (
+                // Rule-of-thirds guides
+                <Box
+                  sx={{
+                    position: 'absolute',
+                    inset: 0,
+                    backgroundImage: [
+                      'linear-gradient(to right, transparent calc(33.333% - 0.5px), rgba(255, 255, 255, 0.5) calc(33.333% - 0.5px), rgba(255, 255, 255, 0.5) calc(33.333% + 0.5px), transparent calc(33.333% + 0.5px), transparent calc(66.667% - 0.5px), rgba(255, 255, 255, 0.5) calc(66.667% - 0.5px), rgba(255, 255, 255, 0.5) calc(66.667% + 0.5px), transparent calc(66.667% + 0.5px))',
+                      'linear-gradient(to bottom, transparent calc(33.333% - 0.5px), rgba(255, 255, 255, 0.5) calc(33.333% - 0.5px), rgba(255, 255, 255, 0.5) calc(33.333% + 0.5px), transparent calc(33.333% + 0.5px), transparent calc(66.667% - 0.5px), rgba(255, 255, 255, 0.5) calc(66.667% - 0.5px), rgba(255, 255, 255, 0.5) calc(66.667% + 0.5px), transparent calc(66.667% + 0.5px))',
+                    ].join(', '),
+                  }}
+                />
+              )}
+              {panels ? (
+                <>
+                  {panels.gaps.map((gap, index) => (
+                    <Box key={`gap${index}`} sx={{ position: 'absolute', ...toPercentRect(gap, panels.size), bgcolor: GAP_SHADE }} />
+                  ))}
+                  {panels.panels.map((panel, index) => (
+                    <Box key={index} sx={{ position: 'absolute', ...toPercentRect(panel, panels.size), border: PANEL_BORDER }}>
+                      {guideLines}
+                    </Box>
+                  ))}
+                </>
+              ) : guideLines}
+            </Box>
+          )}
+        </Box>
+      </Box>
+
+      {editing && (
+        <Box sx={{ mb: 2 }}>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            Drag the frame or click to move it. Arrow keys nudge it (hold Shift for bigger steps).
+          </Typography>
+          {panels && (
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Each outlined part becomes one plate; the shaded strips are the gaps between them on the wall.
+            </Typography>
+          )}
+          {guides && showGuides && (
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Red dashes mark the edge that is trimmed off; keep text and faces inside the blue dashes.
+            </Typography>
+          )}
+          <Typography variant="body2" gutterBottom>Zoom</Typography>
+          <Slider
+            value={activeSettings.zoom}
+            min={1}
+            max={MAX_ZOOM}
+            step={0.01}
+            onChange={handleZoom}
+            valueLabelDisplay="auto"
+            valueLabelFormat={(value) => `${value.toFixed(2)}x`}
+          />
+          <Typography variant="body2" gutterBottom>Straighten</Typography>
+          <Slider
+            value={getFineRotation(activeSettings.rotation)}
+            min={-45}
+            max={45}
+            step={0.1}
+            onChange={handleStraighten}
+            valueLabelDisplay="auto"
+            valueLabelFormat={(value) => `${value.toFixed(1)}°`}
+            marks={[{ value: 0 }]}
+          />
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 1 }}>
+            <Box>
+              <Button size="small" startIcon={<RotateLeftIcon />} onClick={() => rotateBy(-90)}>
+                Rotate left
+              </Button>
+              <Button size="small" startIcon={<RotateRightIcon />} onClick={() => rotateBy(90)}>
+                Rotate right
+              </Button>
+            </Box>
+            <Box>
+              <FormControlLabel
+                control={<Switch checked={showGrid} onChange={(e) => setShowGrid(e.target.checked)} />}
+                label="Grid"
+              />
+              <FormControlLabel
+                control={<Switch checked={showGuides} onChange={(e) => setShowGuides(e.target.checked)} />}
+                label="Print guides"
+              />
+            </Box>
+          </Box>
+        </Box>
+      )}
+    </>
+  );
+}
+
+export default CropEditor;
@@ -0,0 +1,79 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Box } from '@mui/material';
+import { getOutputSize, getRotatedOrientation } from '../geometry';
+import { drawFill, loadImage } from '../canvas';
+import { getOverlayDataUrl } from '../overlays';
+
+// Longest side of the preview canvas; the real output is drawn by the server
+const PREVIEW_SIZE = 800;
+
+// Preview of a fill mode (see FILL_MODES): the whole image scaled into the
+// preset's output, with the space around it filled the way the server will.
+// `overlays` are text and logo layers drawn over it (see src/overlays.js) and
+// `filter` a CSS filter previewing colour adjustments.
+function FillPreview({ src, preset, mode, colour, rotation = 0, overlays = [], filter }) {
+  const canvasRef = useRef(null);
+  const [image, setImage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadImage(src)
+      .then((img) => {
+        if (!cancelled) setImage(img);
+      })
+      .catch((error) => console.error('Failed to load preview image:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [src]);
+
+  const { width: fullWidth, height: fullHeight } = image
+    ? getOutputSize(getRotatedOrientation(image.naturalWidth, image.naturalHeight, rotation, preset), preset)
+    : {};
+  const overlayUrl = useMemo(
+    () => fullWidth && overlays.length > 0 && getOverlayDataUrl(overlays, fullWidth, fullHeight),
+    [overlays, fullWidth, fullHeight]
+  );
+
+  useEffect(() => {
+    if (!image) return;
+
+    const fullSize = { width: fullWidth, height: fullHeight };
+    const previewScale = PREVIEW_SIZE / Math.max(fullSize.width, fullSize.height);
+    const output = {
+      width: Math.round(fullSize.width * previewScale),
+      height: Math.round(fullSize.height * previewScale),
+    };
+
+    const canvas = canvasRef.current;
+    canvas.width = output.width;
+    canvas.height = output.height;
+    drawFill(canvas.getContext('2d'), image, rotation, mode, colour);
+  }, [image, fullWidth, fullHeight, mode, colour, rotation]);
+
+  return (
+    <Box sx={{ position: 'relative', width: '100%', pt: '75%', mb: 2, bgcolor: '#000', borderRadius: 1, overflow: 'hidden' }}>
+      <canvas
+        ref={canvasRef}
+        style={{
+          position: 'absolute',
+          top: 0,
+          left: 0,
+          width: '100%',
+          height: '100%',
+          objectFit: 'contain',
+          filter,
+        }}
+      />
+      {overlayUrl && (
+        <img
+          src={overlayUrl}
+          alt=""
+          style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%', objectFit: 'contain' }}
+        />
+      )}
+    </Box>
+  );
+}
+
+export default FillPreview;
@@ -0,0 +1,82 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Alert, Box } from '@mui/material';
+import { CLIPPING_WARNING, adjustPixels, getHistogram } from '../adjustments';
+import { createCanvas, loadImage } from '../canvas';
+
+// Longest side the histogram samples the image at
+const SAMPLE_SIZE = 256;
+const HEIGHT = 80;
+const CHANNEL_COLOURS = ['rgba(255, 0, 0, 0.6)', 'rgba(0, 200, 0, 0.6)', 'rgba(0, 80, 255, 0.6)'];
+
+const formatShare = (share) => `${(share * 100).toFixed(share < 0.1 ? 1 : 0)}%`;
+
+// RGB histogram of the whole image after colour adjustments, warning when
+// they push highlights to white or shadows to black
+function Histogram({ src, adjustments }) {
+  const canvasRef = useRef(null);
+  const [sample, setSample] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadImage(src)
+      .then((img) => {
+        if (cancelled) return;
+        const scale = Math.min(1, SAMPLE_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+        const canvas = createCanvas(Math.round(img.naturalWidth * scale), Math.round(img.naturalHeight * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        setSample(ctx.getImageData(0, 0, canvas.width, canvas.height).data);
+      })
+      .catch((error) => console.error('Failed to load the histogram image:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [src]);
+
+  const histogram = useMemo(() => {
+    if (!sample) return null;
+    const pixels = sample.slice();
+    adjustPixels(pixels, 4, adjustments);
+    return getHistogram(pixels, 4);
+  }, [sample, adjustments]);
+
+  useEffect(() => {
+    if (!histogram) return;
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    // Scale to the tallest bar away from the ends, so clipped pixels don't flatten the rest
+    const peak = Math.max(1, ...histogram.counts.flatMap((counts) => Array.from(counts.subarray(1, 255))));
+    ctx.globalCompositeOperation = 'lighter';
+    histogram.counts.forEach((counts, channel) => {
+      ctx.fillStyle = CHANNEL_COLOURS[channel];
+      counts.forEach((count, value) => {
+        const height = Math.min(HEIGHT, (count / peak) * HEIGHT);
+        ctx.fillRect(value, HEIGHT - height, 1, height);
+      });
+    });
+  }, [histogram]);
+
+  const clipped = histogram && [
+    histogram.highlights > CLIPPING_WARNING && `${formatShare(histogram.highlights)} of the image is clipped to white`,
+    histogram.shadows > CLIPPING_WARNING && `${formatShare(histogram.shadows)} of the image is clipped to black`,
+  ].filter(Boolean);
+
+  return (
+    <Box>
+      <canvas
+        ref={canvasRef}
+        width={256}
+        height={HEIGHT}
+        style={{ width: '100%', height: HEIGHT, background: '#222', borderRadius: 4 }}
+      />
+      {clipped?.map((message) => (
+        <Alert key={message} severity="warning" sx={{ mt: 1 }}>
+          {message}; detail there won't print.
+        </Alert>
+      ))}
+    </Box>
+  );
+}
+
+export default Histogram;
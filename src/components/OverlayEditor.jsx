@@ -0,0 +1,172 @@
+import { useState } from 'react';
+import {
+  Alert, Box, Button, Chip, FormControlLabel, MenuItem, Slider, Switch, TextField, Typography,
+} from '@mui/material';
+import TextFieldsIcon from '@mui/icons-material/TextFields';
+import ImageIcon from '@mui/icons-material/Image';
+import {
+  DEFAULT_LOGO_OVERLAY, DEFAULT_TEXT_OVERLAY, MAX_OVERLAYS, MAX_OVERLAY_TEXT, OVERLAY_FONTS, OVERLAY_SIZE_RANGE,
+  OVERLAY_TYPES,
+} from '../overlays';
+import { loadImage, readAsDataUrl } from '../canvas';
+
+// Formats the server accepts for logos (see normaliseOverlays)
+const LOGO_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+// Controls for the text and logo layers drawn on the print (see
+// src/overlays.js). `layers` carry an `id` besides the drawn properties;
+// every change is reported through onChange with the new list. Only layer
+// types in `types` can be added.
+function OverlayEditor({ layers, onChange, types = OVERLAY_TYPES }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const [logoError, setLogoError] = useState(null);
+  const selected = layers.find((layer) => layer.id === selectedId);
+
+  const addLayer = (layer) => {
+    const id = crypto.randomUUID();
+    onChange([...layers, { ...layer, id }]);
+    setSelectedId(id);
+  };
+
+  const updateSelected = (changes) => {
+    onChange(layers.map((layer) => (layer.id === selectedId ? { ...layer, ...changes } : layer)));
+  };
+
+  const removeLayer = (id) => {
+    onChange(layers.filter((layer) => layer.id !== id));
+    if (id === selectedId) setSelectedId(null);
+  };
+
+  const handleAddLogo = () => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = LOGO_TYPES.join(',');
+    input.onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      if (!LOGO_TYPES.includes(file.type)) {
+        setLogoError('Logos must be PNG, JPEG or WebP images. PNGs keep a transparent background.');
+        return;
+      }
+      try {
+        const src = await readAsDataUrl(file);
+        const img = await loadImage(src);
+        setLogoError(null);
+        addLayer({ ...DEFAULT_LOGO_OVERLAY, src, aspect: img.naturalHeight / img.naturalWidth });
+      } catch (error) {
+        console.error('Failed to read the logo:', error);
+        setLogoError("The logo couldn't be read.");
+      }
+    };
+    input.click();
+  };
+
+  const percentSlider = (label, name) => (
+    <Box sx={{ flex: '1 1 160px', px: 1 }}>
+      <Typography variant="body2">{label}</Typography>
+      <Slider
+        size="small"
+        value={selected[name] * 100}
+        min={0}
+        max={100}
+        onChange={(e, value) => updateSelected({ [name]: value / 100 })}
+        valueLabelDisplay="auto"
+        valueLabelFormat={(value) => `${Math.round(value)}%`}
+      />
+    </Box>
+  );
+
+  const full = layers.length >= MAX_OVERLAYS;
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+        <Typography variant="subtitle2" sx={{ flexGrow: 1 }}>Text and logos</Typography>
+        <Button size="small" startIcon={<TextFieldsIcon />} disabled={full || !types.includes('text')} onClick={() => addLayer(DEFAULT_TEXT_OVERLAY)}>
+          Add Text
+        </Button>
+        <Button size="small" startIcon={<ImageIcon />} disabled={full || !types.includes('image')} onClick={handleAddLogo}>
+          Add Logo
+        </Button>
+      </Box>
+      {logoError && (
+        <Alert severity="error" onClose={() => setLogoError(null)} sx={{ mb: 1 }}>
+          {logoError}
+        </Alert>
+      )}
+      {layers.length > 0 && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 1 }}>
+          {layers.map((layer, index) => (
+            <Chip
+              key={layer.id}
+              size="small"
+              icon={layer.type === 'text' ? <TextFieldsIcon /> : <ImageIcon />}
+              label={layer.type === 'text' ? layer.text.split('\n')[0] || 'Text' : `Logo ${index + 1}`}
+              color={layer.id === selectedId ? 'primary' : 'default'}
+              onClick={() => setSelectedId(layer.id)}
+              onDelete={() => removeLayer(layer.id)}
+              sx={{ maxWidth: 180 }}
+            />
+          ))}
+        </Box>
+      )}
+      {selected && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 2 }}>
+          {selected.type === 'text' && (
+            <>
+              <TextField
+                fullWidth
+                multiline
+                size="small"
+                label="Text"
+                value={selected.text}
+                onChange={(e) => updateSelected({ text: e.target.value.slice(0, MAX_OVERLAY_TEXT) })}
+              />
+              <TextField
+                select
+                size="small"
+                label="Font"
+                value={selected.font}
+                onChange={(e) => updateSelected({ font: e.target.value })}
+                sx={{ minWidth: 150 }}
+              >
+                {Object.entries(OVERLAY_FONTS).map(([font, { label, family }]) => (
+                  <MenuItem key={font} value={font} sx={{ fontFamily: family }}>{label}</MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                type="color"
+                size="small"
+                label="Colour"
+                value={selected.colour}
+                onChange={(e) => updateSelected({ colour: e.target.value })}
+                sx={{ width: 96 }}
+              />
+              <FormControlLabel
+                control={<Switch checked={selected.shadow} onChange={(e) => updateSelected({ shadow: e.target.checked })} />}
+                label="Shadow"
+              />
+            </>
+          )}
+          <Box sx={{ flex: '1 1 160px', px: 1 }}>
+            <Typography variant="body2">{selected.type === 'text' ? 'Text size' : 'Logo width'}</Typography>
+            <Slider
+              size="small"
+              value={selected.size}
+              min={OVERLAY_SIZE_RANGE.min}
+              max={OVERLAY_SIZE_RANGE.max}
+              step={0.5}
+              onChange={(e, value) => updateSelected({ size: value })}
+              valueLabelDisplay="auto"
+              valueLabelFormat={(value) => `${value}% of the short side`}
+            />
+          </Box>
+          {percentSlider('Across', 'x')}
+          {percentSlider('Down', 'y')}
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default OverlayEditor;
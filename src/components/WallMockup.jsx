@@ -0,0 +1,101 @@
+import { useEffect, useRef, useState } from 'react';
+import { Alert, Box, Button, MenuItem, TextField } from '@mui/material';
+import { DEFAULT_MOCKUP, MOCKUP_FRAMES, MOCKUP_ROOMS, MOCKUP_SIZE, REFERENCE_OBJECTS, getMockupLayout } from '../mockup';
+import { drawMockup, loadImage } from '../canvas';
+
+const REFERENCE_LABELS = {
+  room: "Room's default",
+  ...Object.fromEntries(Object.entries(REFERENCE_OBJECTS).map(([id, { label }]) => [id, label])),
+  none: 'None',
+};
+
+// The processed image as a plate on a wall, at its real size next to a sofa
+// or a person. The server can draw the same mockup with POST /mockup.
+function WallMockup({ src, preset }) {
+  const canvasRef = useRef(null);
+  const [image, setImage] = useState(null);
+  const [loadFailed, setLoadFailed] = useState(false);
+  const [options, setOptions] = useState(DEFAULT_MOCKUP);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoadFailed(false);
+    loadImage(src)
+      .then((img) => {
+        if (!cancelled) setImage(img);
+      })
+      // TIFFs, for one, can't be shown by most browsers
+      .catch(() => {
+        if (!cancelled) setLoadFailed(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [src]);
+
+  useEffect(() => {
+    if (!image) return;
+    const canvas = canvasRef.current;
+    canvas.width = MOCKUP_SIZE.width;
+    canvas.height = MOCKUP_SIZE.height;
+    const layout = getMockupLayout(image.naturalWidth, image.naturalHeight, options, preset);
+    drawMockup(canvas.getContext('2d'), image, layout);
+  }, [image, options, preset]);
+
+  const handleDownload = () => {
+    canvasRef.current.toBlob((blob) => {
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `mockup-${preset.id}-${options.room}.jpg`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    }, 'image/jpeg', 0.9);
+  };
+
+  if (loadFailed) {
+    return (
+      <Alert severity="info" sx={{ mb: 2 }}>
+        This format can't be shown in the browser, so there's no wall mockup for it.
+      </Alert>
+    );
+  }
+
+  const select = (name, label, entries) => (
+    <TextField
+      select
+      size="small"
+      label={label}
+      value={options[name]}
+      onChange={(e) => setOptions((current) => ({ ...current, [name]: e.target.value }))}
+      sx={{ minWidth: 150 }}
+    >
+      {entries.map(([id, text]) => (
+        <MenuItem key={id} value={id}>{text}</MenuItem>
+      ))}
+    </TextField>
+  );
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+        {select('room', 'Room', Object.entries(MOCKUP_ROOMS).map(([id, { label }]) => [id, label]))}
+        {select('frame', 'Frame', Object.entries(MOCKUP_FRAMES).map(([id, { label }]) => [id, label]))}
+        {select('reference', 'Size reference', Object.entries(REFERENCE_LABELS))}
+      </Box>
+      <canvas
+        ref={canvasRef}
+        style={{ width: '100%', aspectRatio: `${MOCKUP_SIZE.width} / ${MOCKUP_SIZE.height}`, borderRadius: 4 }}
+      />
+      <Box sx={{ textAlign: 'center', mt: 1 }}>
+        <Button variant="outlined" onClick={handleDownload} disabled={!image}>
+          Download Mockup
+        </Button>
+      </Box>
+    </Box>
+  );
+}
+
+export default WallMockup;
@@ -0,0 +1,24 @@
+// What to tell the user for each error code the server sends ({ error, code })
+
+export const ERROR_MESSAGES = {
+  NO_FILE: 'No image was uploaded. Please choose an image file.',
+  FILE_TOO_LARGE: 'This file is too big to upload. Try a smaller export of the image.',
+  TOO_MANY_FILES: 'Too many images for one batch. Please split them into smaller batches.',
+  UNSUPPORTED_FORMAT: "This file type isn't supported. Please use a JPEG, PNG, WebP, AVIF, HEIC, TIFF or GIF image.",
+  INVALID_IMAGE: "The image couldn't be read. The file may be damaged.",
+  TOO_SMALL: 'This image is too small to print well. Please use a larger version of it.',
+  TOO_MANY_PIXELS: 'This image has too many pixels to process. Please scale it down first.',
+  INVALID_REQUEST: 'The server rejected the request. Reloading the page may help.',
+  INVALID_FIELD: 'The server rejected the settings for an image. Reloading the page may help.',
+  SERVER_BUSY: 'The server is busy with other images. Please try again in a minute.',
+  PROCESSING_FAILED: 'Processing the image failed. Please try again.',
+  INTERNAL_ERROR: 'Something went wrong on the server. Please try again later.',
+  NOT_FOUND: "The server doesn't support this yet. It may need updating.",
+  INVALID_URL: 'Please enter an http or https link to an image.',
+  URL_NOT_ALLOWED: "Links to private networks can't be imported. Download the image and upload it instead.",
+  URL_FETCH_FAILED: "The image couldn't be downloaded from that link. Check it opens in your browser.",
+  URL_TIMEOUT: 'The link took too long to download. Try downloading the image and uploading it.',
+};
+
+// Friendly message for an error, falling back to its own message
+export const getErrorMessage = (error) => ERROR_MESSAGES[error.code] || error.message;
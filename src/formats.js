@@ -0,0 +1,55 @@
+// Image formats: the output formats, shared by the React app, the browser
+// worker and server.js, and the upload formats the app lets through
+
+// `quality` is the default for lossy formats; lossless ones have none
+export const OUTPUT_FORMATS = {
+  jpeg: { label: 'JPEG', extension: 'jpg', mimeType: 'image/jpeg', quality: 100 },
+  png: { label: 'PNG', extension: 'png', mimeType: 'image/png', quality: null },
+  webp: { label: 'WebP', extension: 'webp', mimeType: 'image/webp', quality: 95 },
+  avif: { label: 'AVIF', extension: 'avif', mimeType: 'image/avif', quality: 80 },
+  tiff: { label: 'TIFF', extension: 'tif', mimeType: 'image/tiff', quality: null },
+};
+
+export const DEFAULT_OUTPUT_FORMAT = 'jpeg';
+
+// Extensions of the image files the server reads. HEIC and some TIFFs come
+// without a MIME type on several platforms, so these go by name.
+export const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp', 'avif', 'heic', 'heif', 'tif', 'tiff', 'gif'];
+
+// Whether a file is worth uploading as an image. Only a first filter: the
+// server checks the bytes (see readImage in lib/pipeline.js).
+export const isImageFile = (file) =>
+  file.type.startsWith('image/') || IMAGE_EXTENSIONS.includes(file.name.match(/\.(\w+)$/)?.[1].toLowerCase());
+
+// Formats canvas can encode, for processing in the browser
+export const BROWSER_OUTPUT_FORMATS = ['jpeg', 'png', 'webp'];
+
+// Lowest quality the size budget search goes down to
+export const MIN_BUDGET_QUALITY = 20;
+
+export const formatFileSize = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// Highest quality between MIN_BUDGET_QUALITY and maxQuality whose encoding
+// fits in maxBytes. `encode(quality)` resolves to the encoded bytes (anything
+// with a byteLength). When even the lowest quality is too big, that one is
+// returned with fits: false.
+export const findQualityForBudget = async (encode, maxBytes, maxQuality) => {
+  const best = await encode(maxQuality);
+  if (best.byteLength <= maxBytes) return { quality: maxQuality, data: best, fits: true };
+
+  let low = MIN_BUDGET_QUALITY;
+  let high = maxQuality - 1;
+  let found = null;
+  while (low <= high) {
+    const quality = Math.floor((low + high) / 2);
+    const data = await encode(quality);
+    if (data.byteLength <= maxBytes) {
+      found = { quality, data, fits: true };
+      low = quality + 1;
+    } else {
+      high = quality - 1;
+    }
+  }
+  if (found) return found;
+  return { quality: MIN_BUDGET_QUALITY, data: await encode(MIN_BUDGET_QUALITY), fits: false };
+};
@@ -0,0 +1,279 @@
+// Crop geometry shared by the React preview and the sharp pipeline in lib/pipeline.js.
+// Keep this file free of browser and Node APIs so both sides can import it.
+import { DEFAULT_PRESET } from './presets.js';
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Orientation to print an image of width x height in. Squares are treated as
+// vertical, and presets that only allow one orientation always get it.
+export const getOrientation = (width, height, preset = DEFAULT_PRESET) => {
+  if (preset.orientations.length === 1) return preset.orientations[0];
+  return height >= width ? 'vertical' : 'horizontal';
+};
+
+// Final output dimensions for an orientation
+export const getOutputSize = (orientation, preset = DEFAULT_PRESET) => {
+  const shortSide = preset.minShortSide;
+  const longSide = Math.round(shortSide * preset.ratio);
+  return orientation === 'vertical'
+    ? { width: shortSide, height: longSide }
+    : { width: longSide, height: shortSide };
+};
+
+// Print guides for an orientation as fractions of the output width (x) and
+// height (y), measured in from each edge (see `guides` in presets.js). Null
+// for presets from older servers, which have no guides.
+export const getGuideInsets = (orientation, preset = DEFAULT_PRESET) => {
+  if (!preset.guides) return null;
+  const { short, long } = preset.printSize;
+  const width = orientation === 'vertical' ? short : long;
+  const height = orientation === 'vertical' ? long : short;
+  const { bleed, safe } = preset.guides;
+  return {
+    bleed: { x: bleed / width, y: bleed / height },
+    safe: { x: safe / width, y: safe / height },
+  };
+};
+
+// Largest crop with the preset ratio that fits inside width x height
+export const getCropSize = (width, height, orientation, preset = DEFAULT_PRESET) => {
+  if (orientation === 'vertical') {
+    // height = ratio * width
+    const cropWidth = Math.min(width, height / preset.ratio);
+    return { width: cropWidth, height: cropWidth * preset.ratio };
+  }
+  // width = ratio * height
+  const cropHeight = Math.min(height, width / preset.ratio);
+  return { width: cropHeight * preset.ratio, height: cropHeight };
+};
+
+// Where an image lands inside a container when drawn with objectFit: contain
+export const getContainedRect = (imageWidth, imageHeight, containerWidth, containerHeight) => {
+  const imageAspect = imageHeight / imageWidth;
+  const containerAspect = containerHeight / containerWidth;
+
+  if (imageAspect > containerAspect) {
+    // Image fills the container height, bars on the left and right
+    const width = containerHeight / imageAspect;
+    return { left: (containerWidth - width) / 2, top: 0, width, height: containerHeight };
+  }
+  // Image fills the container width, bars on the top and bottom
+  const height = containerWidth * imageAspect;
+  return { left: 0, top: (containerHeight - height) / 2, width: containerWidth, height };
+};
+
+// Convert a point normalized to the preview container (0-1 on both axes)
+// into image pixel coordinates, undoing the letterboxing
+export const containerPointToImage = (point, imageWidth, imageHeight, containerAspect) => {
+  const displayed = getContainedRect(imageWidth, imageHeight, 1, containerAspect);
+  return {
+    x: ((point.x - displayed.left) / displayed.width) * imageWidth,
+    y: ((point.y * containerAspect - displayed.top) / displayed.height) * imageHeight,
+  };
+};
+
+// Crop rectangle for an image of width x height centered on (centerX, centerY),
+// clamped to the image bounds. Values are not rounded so the preview can use
+// them directly; use toPixelRect before handing them to sharp.
+export const calculateCrop = (width, height, centerX = width / 2, centerY = height / 2, preset = DEFAULT_PRESET) => {
+  const orientation = getOrientation(width, height, preset);
+  const size = getCropSize(width, height, orientation, preset);
+
+  return {
+    orientation,
+    left: clamp(centerX - size.width / 2, 0, width - size.width),
+    top: clamp(centerY - size.height / 2, 0, height - size.height),
+    width: size.width,
+    height: size.height,
+  };
+};
+
+// Round a crop rectangle to whole pixels without letting it leave the image
+export const toPixelRect = (rect, imageWidth, imageHeight) => {
+  const width = clamp(Math.round(rect.width), 1, imageWidth);
+  const height = clamp(Math.round(rect.height), 1, imageHeight);
+  return {
+    left: clamp(Math.round(rect.left), 0, imageWidth - width),
+    top: clamp(Math.round(rect.top), 0, imageHeight - height),
+    width,
+    height,
+  };
+};
+
+// Rotation
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Bounding box of a width x height image rotated clockwise by `rotation` degrees
+export const getRotatedBounds = (width, height, rotation = 0) => {
+  const angle = toRadians(rotation);
+  // Round away floating point noise so quarter turns give exact sizes
+  const cos = Math.round(Math.abs(Math.cos(angle)) * 1e9) / 1e9;
+  const sin = Math.round(Math.abs(Math.sin(angle)) * 1e9) / 1e9;
+  return { width: width * cos + height * sin, height: width * sin + height * cos };
+};
+
+// Map a point on the upright image to the rotated bounding box
+export const imageToBoundsPoint = (point, width, height, rotation = 0) => {
+  const bounds = getRotatedBounds(width, height, rotation);
+  const angle = toRadians(rotation);
+  const dx = point.x - width / 2;
+  const dy = point.y - height / 2;
+  return {
+    x: bounds.width / 2 + dx * Math.cos(angle) - dy * Math.sin(angle),
+    y: bounds.height / 2 + dx * Math.sin(angle) + dy * Math.cos(angle),
+  };
+};
+
+// Map a point on the rotated bounding box back to the upright image
+export const boundsToImagePoint = (point, width, height, rotation = 0) => {
+  const bounds = getRotatedBounds(width, height, rotation);
+  const angle = toRadians(rotation);
+  const dx = point.x - bounds.width / 2;
+  const dy = point.y - bounds.height / 2;
+  return {
+    x: width / 2 + dx * Math.cos(angle) + dy * Math.sin(angle),
+    y: height / 2 - dx * Math.sin(angle) + dy * Math.cos(angle),
+  };
+};
+
+// Whether a crop rectangle on the rotated bounding box only covers image pixels
+export const isCropInsideImage = (rect, width, height, rotation = 0) => {
+  const tolerance = 1e-6 * Math.max(width, height);
+  const corners = [
+    { x: rect.left, y: rect.top },
+    { x: rect.left + rect.width, y: rect.top },
+    { x: rect.left, y: rect.top + rect.height },
+    { x: rect.left + rect.width, y: rect.top + rect.height },
+  ];
+  return corners.every((corner) => {
+    const p = boundsToImagePoint(corner, width, height, rotation);
+    return p.x >= -tolerance && p.x <= width + tolerance && p.y >= -tolerance && p.y <= height + tolerance;
+  });
+};
+
+// Largest t in [0, 1] for which isValid(t) holds, assuming it holds at 0 and
+// the valid values form an interval starting there
+const searchLargestValid = (isValid) => {
+  if (isValid(1)) return 1;
+  let low = 0, high = 1;
+  for (let i = 0; i < 40; i++) {
+    const middle = (low + high) / 2;
+    if (isValid(middle)) low = middle; else high = middle;
+  }
+  return low;
+};
+
+// Orientation of an image rotated clockwise by `rotation` degrees. Quarter
+// turns decide it; straightening by a few degrees doesn't.
+export const getRotatedOrientation = (width, height, rotation = 0, preset = DEFAULT_PRESET) => {
+  const turned = Math.abs(Math.round(rotation / 90)) % 2 === 1;
+  return turned ? getOrientation(height, width, preset) : getOrientation(width, height, preset);
+};
+
+// Crop editor settings for a centered, full-size, unrotated crop
+export const DEFAULT_CROP_SETTINGS = { center: { x: 0.5, y: 0.5 }, zoom: 1, rotation: 0 };
+
+// Crop editor settings for the crop /analyze suggests (its suggestedCrop),
+// flagged so the app can tell them from a crop the user placed
+export const getSuggestedCropSettings = (suggestion) => ({
+  ...DEFAULT_CROP_SETTINGS,
+  center: suggestion.center,
+  suggested: true,
+});
+
+// Crop rectangle for the crop editor. `settings` holds the crop center as a
+// fraction of the upright image, a zoom factor (1 = largest crop that fits)
+// and a clockwise rotation in degrees. The rectangle is axis-aligned on the
+// rotated bounding box and is kept entirely on the image.
+export const calculateEditorCrop = (width, height, settings, preset = DEFAULT_PRESET) => {
+  const { center, zoom, rotation } = { ...DEFAULT_CROP_SETTINGS, ...settings };
+  const bounds = getRotatedBounds(width, height, rotation);
+
+  const orientation = getRotatedOrientation(width, height, rotation, preset);
+
+  // Shrink the crop until it fits the rotated image when centered
+  const middle = { x: bounds.width / 2, y: bounds.height / 2 };
+  const rectAround = (point, size) => ({
+    left: point.x - size.width / 2,
+    top: point.y - size.height / 2,
+    width: size.width,
+    height: size.height,
+  });
+  const boundsSize = getCropSize(bounds.width, bounds.height, orientation, preset);
+  const scaleFactor = searchLargestValid((t) => isCropInsideImage(
+    rectAround(middle, { width: boundsSize.width * t, height: boundsSize.height * t }), width, height, rotation
+  ));
+  const size = {
+    width: (boundsSize.width * scaleFactor) / zoom,
+    height: (boundsSize.height * scaleFactor) / zoom,
+  };
+
+  // Move the requested center back onto the image: first towards the middle,
+  // then slide along each axis so the window can run along the edges
+  const desired = imageToBoundsPoint({ x: center.x * width, y: center.y * height }, width, height, rotation);
+  const fits = (point) => isCropInsideImage(rectAround(point, size), width, height, rotation);
+  const moveTowards = (from, to) => {
+    const t = searchLargestValid((value) => fits({
+      x: from.x + (to.x - from.x) * value,
+      y: from.y + (to.y - from.y) * value,
+    }));
+    return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+  };
+
+  let point = desired;
+  if (!fits(point)) {
+    point = moveTowards(middle, desired);
+    point = moveTowards(point, { x: desired.x, y: point.y });
+    point = moveTowards(point, { x: point.x, y: desired.y });
+  }
+
+  return { orientation, bounds, ...rectAround(point, size) };
+};
+
+// Fill modes
+
+// Ways to reach the preset ratio: crop the image, or keep all of it and fill
+// the rest of the canvas with a colour, a blurred copy or mirrored edges
+export const FILL_MODES = ['crop', 'pad', 'blur', 'mirror'];
+
+// Where a width x height image sits, in whole pixels, when it is scaled to fit
+// inside the output and centered
+export const getFillRect = (width, height, output) => {
+  const scale = Math.min(output.width / width, output.height / height);
+  const fitted = {
+    width: Math.min(output.width, Math.max(1, Math.round(width * scale))),
+    height: Math.min(output.height, Math.max(1, Math.round(height * scale))),
+  };
+  return {
+    left: Math.floor((output.width - fitted.width) / 2),
+    top: Math.floor((output.height - fitted.height) / 2),
+    ...fitted,
+  };
+};
+
+// The print processor.worker.js makes from an upright width x height image
+// and /process-image fields, in the shape of getPrintLayout in lib/pipeline.js:
+// the rotation and rotated bounds, the pixel rectangle to cut from them in
+// crop mode (the crop editor's rectangle as fractions of the bounds) or where
+// the whole image sits in the output (`fill`), the output size and the scale.
+export const getPrintGeometry = (width, height, fields, preset = DEFAULT_PRESET) => {
+  const rotation = parseFloat(fields.rotation) || 0;
+  const bounds = getRotatedBounds(width, height, rotation);
+
+  if ((fields.mode || 'crop') === 'crop') {
+    const crop = {
+      left: parseFloat(fields.cropX) * bounds.width,
+      top: parseFloat(fields.cropY) * bounds.height,
+      width: parseFloat(fields.cropWidth) * bounds.width,
+      height: parseFloat(fields.cropHeight) * bounds.height,
+    };
+    const cropRect = toPixelRect(crop, Math.floor(bounds.width), Math.floor(bounds.height));
+    const output = getOutputSize(getOrientation(crop.width, crop.height, preset), preset);
+    return { rotation, bounds, cropRect, output, factor: output.width / cropRect.width };
+  }
+
+  const output = getOutputSize(getRotatedOrientation(width, height, rotation, preset), preset);
+  const fill = getFillRect(bounds.width, bounds.height, output);
+  return { rotation, bounds, fill, output, factor: fill.width / bounds.width };
+};
@@ -0,0 +1,53 @@
+// Undo/redo for the editing workflow
+import { useRef, useState } from 'react';
+
+// Changes of the same kind this close together (dragging the colour picker,
+// say) are undone as one step
+const MERGE_WINDOW = 1000;
+const MAX_STEPS = 50;
+
+// Undo and redo stacks of snapshots. Call record(before, kind) just before a
+// change, with the state it replaces; undo(current) and redo(current) take
+// the state on screen and return the snapshot to restore, or null.
+export const useUndoHistory = () => {
+  const [stacks, setStacks] = useState({ past: [], future: [] });
+  const lastRecord = useRef(null);
+
+  const record = (snapshot, kind) => {
+    const now = Date.now();
+    const merge = kind && lastRecord.current?.kind === kind && now - lastRecord.current.time < MERGE_WINDOW;
+    lastRecord.current = { kind, time: now };
+    if (merge) return;
+    setStacks(({ past }) => ({ past: [...past, snapshot].slice(-MAX_STEPS), future: [] }));
+  };
+
+  const undo = (current) => {
+    const previous = stacks.past.at(-1);
+    if (!previous) return null;
+    lastRecord.current = null;
+    setStacks({ past: stacks.past.slice(0, -1), future: [current, ...stacks.future] });
+    return previous;
+  };
+
+  const redo = (current) => {
+    const next = stacks.future[0];
+    if (!next) return null;
+    lastRecord.current = null;
+    setStacks({ past: [...stacks.past, current], future: stacks.future.slice(1) });
+    return next;
+  };
+
+  const clear = () => {
+    lastRecord.current = null;
+    setStacks({ past: [], future: [] });
+  };
+
+  return {
+    record,
+    undo,
+    redo,
+    clear,
+    canUndo: stacks.past.length > 0,
+    canRedo: stacks.future.length > 0,
+  };
+};
@@ -0,0 +1,46 @@
+// Processing in the browser, for when the server is unreachable or the image
+// shouldn't leave the machine. The work happens in processor.worker.js.
+import { getEffectiveDpi } from './upscale';
+import { OUTPUT_FORMATS } from './formats';
+
+let worker = null;
+let nextId = 0;
+const requests = new Map();
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('./processor.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      const request = requests.get(data.id);
+      requests.delete(data.id);
+      if (data.error) request.reject(new Error(data.error));
+      else request.resolve(data);
+    };
+  }
+  return worker;
+};
+
+// Same result shape as processFile in api.js. The browser only resizes once,
+// so the upscale strategy is always 'direct', and no colour conversions are
+// reported because the browser has already decoded the image to sRGB.
+export const processFileLocally = async (file, fields, preset) => {
+  const id = ++nextId;
+  const { bytes, factor, output } = await new Promise((resolve, reject) => {
+    requests.set(id, { resolve, reject });
+    getWorker().postMessage({ id, file, fields, preset });
+  });
+
+  return {
+    blob: new Blob([bytes], { type: OUTPUT_FORMATS[output.format].mimeType }),
+    report: {
+      local: true,
+      ...output,
+      dpi: String(preset.dpi),
+      sourceProfile: null,
+      conversions: [],
+      upscaleFactor: factor,
+      upscaleStrategy: 'direct',
+      effectiveDpi: String(getEffectiveDpi(factor, preset)),
+    },
+  };
+};
@@ -0,0 +1,171 @@
+// Wall mockup scenes, shared by the React app (drawn on a canvas) and
+// lib/pipeline.js (drawn as SVG). Everything is measured in centimetres on the
+// wall and projected to pixels here, so the plate and the size reference
+// always keep their real proportions.
+import { DEFAULT_PRESET } from './presets.js';
+
+// Size of the mockup image in pixels
+export const MOCKUP_SIZE = { width: 1600, height: 1000 };
+
+// `angle` turns the wall away from the camera (degrees, positive pushes the
+// right side back); `reference` is the default size reference
+export const MOCKUP_ROOMS = {
+  living: { label: 'Living room', wall: '#e8e2d8', floor: '#a3825f', angle: 0, reference: 'sofa' },
+  studio: { label: 'Studio', wall: '#d7dde2', floor: '#6f6a64', angle: 22, reference: 'person' },
+  loft: { label: 'Loft', wall: '#4f5963', floor: '#8a6a4e', angle: -18, reference: 'sofa' },
+};
+
+// `width` is the frame moulding in centimetres
+export const MOCKUP_FRAMES = {
+  none: { label: 'No frame', colour: null, width: 0 },
+  black: { label: 'Black', colour: '#1d1d1f', width: 2.5 },
+  white: { label: 'White', colour: '#f4f4f2', width: 2.5 },
+  oak: { label: 'Oak', colour: '#b58a5a', width: 3 },
+};
+
+// Silhouettes for scale, as SVG paths in centimetres (width x height, y down)
+export const REFERENCE_OBJECTS = {
+  sofa: {
+    label: 'Sofa (200 cm)',
+    width: 200,
+    height: 85,
+    path: 'M10 20 Q10 8 22 8 H178 Q190 8 190 20 V40 H194 Q200 40 200 46 V75 H190 V85 H182 V75 '
+      + 'H18 V85 H10 V75 H0 V46 Q0 40 6 40 H10 Z',
+  },
+  person: {
+    label: 'Person (170 cm)',
+    width: 45,
+    height: 170,
+    path: 'M11.5 11 A11 11 0 1 0 33.5 11 A11 11 0 1 0 11.5 11 Z '
+      + 'M8 26 H37 Q45 26 45 36 V92 H38 V60 H36 V170 H25 V100 H20 V170 H9 V60 H7 V92 H0 V36 Q0 26 8 26 Z',
+  },
+};
+
+// Gradient of the light catching the metal, across the plate from its top left
+export const SHEEN_STOPS = [
+  { offset: 0, opacity: 0 },
+  { offset: 0.35, opacity: 0.22 },
+  { offset: 0.6, opacity: 0 },
+];
+
+export const DEFAULT_MOCKUP = { room: 'living', frame: 'none', reference: 'room' };
+
+// Camera: pixels per centimetre on the wall straight ahead, distance from
+// the wall, eye height, and where the floor meets the wall in the image
+const SCALE = 4;
+const CAMERA_DISTANCE = 400;
+const EYE_HEIGHT = 120;
+const FLOOR_Y = 880;
+// Plates hang centred at gallery height, or this far above a sofa
+const HANG_HEIGHT = 150;
+const SOFA_GAP = 25;
+// Vertical slices the plate is drawn in to fake the perspective
+const STRIPS = 64;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Pixel position of a point on the wall, `x` cm from the plate centre and
+// `y` cm above the floor, plus how much things there shrink with distance
+const project = (x, y, angle) => {
+  const depth = CAMERA_DISTANCE / (CAMERA_DISTANCE + x * Math.sin(toRadians(angle)));
+  const horizon = FLOOR_Y - SCALE * EYE_HEIGHT;
+  return {
+    x: MOCKUP_SIZE.width / 2 + SCALE * x * Math.cos(toRadians(angle)) * depth,
+    y: horizon + SCALE * (EYE_HEIGHT - y) * depth,
+    depth,
+  };
+};
+
+// Corners of a rectangle on the wall, clockwise from the top left
+const projectRect = (left, bottom, width, height, angle) => [
+  project(left, bottom + height, angle),
+  project(left + width, bottom + height, angle),
+  project(left + width, bottom, angle),
+  project(left, bottom, angle),
+].map(({ x, y }) => ({ x, y }));
+
+// Physical plate size for an image of width x height
+export const getPlateSize = (width, height, preset = DEFAULT_PRESET) => {
+  const { short, long } = preset.printSize;
+  if (width === height) return { width: short, height: short };
+  return width > height ? { width: long, height: short } : { width: short, height: long };
+};
+
+// Everything needed to draw a mockup of a width x height image. `options`
+// are { room, frame, reference } keys of the tables above; reference 'room'
+// uses the room's own one and 'none' leaves it out. Returns polygons for the
+// wall, floor and baseboard, the frame and plate corners, the plate as
+// vertical strips (source fractions u0-u1 to pixel rects), the silhouette
+// and the shadow offset, all in MOCKUP_SIZE pixels.
+export const getMockupLayout = (width, height, options = {}, preset = DEFAULT_PRESET) => {
+  const { room: roomId, frame: frameId, reference: referenceId } = { ...DEFAULT_MOCKUP, ...options };
+  const room = MOCKUP_ROOMS[roomId] || MOCKUP_ROOMS[DEFAULT_MOCKUP.room];
+  const frame = MOCKUP_FRAMES[frameId] || MOCKUP_FRAMES.none;
+  const { angle } = room;
+  const plate = getPlateSize(width, height, preset);
+  const referenceKey = referenceId === 'room' ? room.reference : referenceId;
+  const reference = REFERENCE_OBJECTS[referenceKey] || null;
+
+  const bottom = referenceKey === 'sofa'
+    ? REFERENCE_OBJECTS.sofa.height + SOFA_GAP + frame.width
+    : HANG_HEIGHT - plate.height / 2;
+  const left = -plate.width / 2;
+
+  const strips = [];
+  for (let i = 0; i < STRIPS; i++) {
+    const u0 = i / STRIPS;
+    const u1 = (i + 1) / STRIPS;
+    const [topLeft, topRight, bottomRight, bottomLeft] = projectRect(
+      left + u0 * plate.width, bottom, (u1 - u0) * plate.width, plate.height, angle
+    );
+    const top = (topLeft.y + topRight.y) / 2;
+    strips.push({
+      u0,
+      u1,
+      x: topLeft.x,
+      width: topRight.x - topLeft.x,
+      y: top,
+      height: (bottomLeft.y + bottomRight.y) / 2 - top,
+    });
+  }
+
+  let silhouette = null;
+  if (reference) {
+    // Sofas sit under the plate, people stand beside it
+    const x = referenceKey === 'sofa' ? -reference.width / 2 : plate.width / 2 + frame.width + 40;
+    const base = project(x, 0, angle);
+    const scale = SCALE * base.depth;
+    silhouette = {
+      path: reference.path,
+      x: base.x,
+      y: base.y - reference.height * scale,
+      scaleX: scale * Math.cos(toRadians(angle)),
+      scaleY: scale,
+    };
+  }
+
+  // Wide enough to run off both sides of the image whatever the angle
+  const wallEdge = 600;
+  const floorLeft = project(-wallEdge, 0, angle);
+  const floorRight = project(wallEdge, 0, angle);
+
+  return {
+    room,
+    frame,
+    plate,
+    wall: projectRect(-wallEdge, 0, wallEdge * 2, 400, angle),
+    baseboard: projectRect(-wallEdge, 0, wallEdge * 2, 8, angle),
+    floor: [
+      { x: floorLeft.x, y: floorLeft.y },
+      { x: floorRight.x, y: floorRight.y },
+      { x: MOCKUP_SIZE.width, y: MOCKUP_SIZE.height },
+      { x: 0, y: MOCKUP_SIZE.height },
+    ],
+    outer: projectRect(left - frame.width, bottom - frame.width, plate.width + frame.width * 2,
+      plate.height + frame.width * 2, angle),
+    inner: projectRect(left, bottom, plate.width, plate.height, angle),
+    strips,
+    silhouette,
+    shadow: { x: SCALE * 1.5, y: SCALE * 3, blur: SCALE * 4 },
+  };
+};
@@ -0,0 +1,122 @@
+// Text and logo layers drawn on top of the print, shared by the React app
+// (previewed as an <img> over the crop) and lib/pipeline.js (composited by
+// sharp at full output resolution). Both draw the same SVG, so the preview
+// matches the print apart from font differences between the machines.
+//
+// A text layer is { type: 'text', text, font, size, colour, x, y, shadow }
+// and a logo layer { type: 'image', src, aspect, size, x, y }. `x` and `y`
+// place the layer's center as fractions of the print (the crop rectangle),
+// `size` is the text height or logo width in percent of the print's shorter
+// side, and `aspect` is the logo's height / width. `src` is a data URL.
+
+// Generic font families, so every renderer finds something close
+export const OVERLAY_FONTS = {
+  sans: { label: 'Sans serif', family: 'Helvetica, Arial, DejaVu Sans, sans-serif' },
+  serif: { label: 'Serif', family: 'Georgia, Times New Roman, DejaVu Serif, serif' },
+  mono: { label: 'Monospace', family: 'Courier New, DejaVu Sans Mono, monospace' },
+  script: { label: 'Handwriting', family: 'Brush Script MT, Segoe Script, cursive' },
+};
+
+export const OVERLAY_TYPES = ['text', 'image'];
+
+export const MAX_OVERLAYS = 10;
+export const MAX_OVERLAY_TEXT = 200;
+export const OVERLAY_SIZE_RANGE = { min: 1, max: 50 };
+
+// Logos are embedded as data URLs; anything else could make the SVG renderer
+// fetch files or URLs
+const IMAGE_SOURCE = /^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/]+=*$/;
+const COLOUR = /^#[0-9a-f]{6}$/i;
+
+export const DEFAULT_TEXT_OVERLAY = {
+  type: 'text', text: 'Title', font: 'sans', size: 6, colour: '#ffffff', x: 0.5, y: 0.9, shadow: true,
+};
+export const DEFAULT_LOGO_OVERLAY = { type: 'image', size: 15, x: 0.85, y: 0.9 };
+
+const escapeXml = (text) => text.replace(/[<>&'"]/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const toFraction = (value) => Math.min(1, Math.max(0, Number(value)));
+
+// Check overlay layers from a request and keep only the properties that are
+// drawn. `value` is the array or its JSON. Throws an Error saying what's wrong.
+export const normaliseOverlays = (value) => {
+  let layers = value;
+  if (typeof value === 'string') {
+    try {
+      layers = JSON.parse(value);
+    } catch {
+      throw new Error('Overlays must be a JSON array');
+    }
+  }
+  if (!Array.isArray(layers)) throw new Error('Overlays must be a JSON array');
+  if (layers.length > MAX_OVERLAYS) throw new Error(`At most ${MAX_OVERLAYS} overlays are allowed`);
+
+  return layers.map((layer) => {
+    if (!layer || typeof layer !== 'object') throw new Error('Overlays must be objects');
+    const size = Number(layer.size);
+    if (!(size >= OVERLAY_SIZE_RANGE.min && size <= OVERLAY_SIZE_RANGE.max)) {
+      throw new Error(`Overlay size must be from ${OVERLAY_SIZE_RANGE.min} to ${OVERLAY_SIZE_RANGE.max}`);
+    }
+    if (!Number.isFinite(Number(layer.x)) || !Number.isFinite(Number(layer.y))) {
+      throw new Error('Overlays need an x and y position');
+    }
+    const position = { size, x: toFraction(layer.x), y: toFraction(layer.y) };
+
+    if (layer.type === 'text') {
+      if (typeof layer.text !== 'string' || layer.text.length > MAX_OVERLAY_TEXT) {
+        throw new Error(`Overlay text must be at most ${MAX_OVERLAY_TEXT} characters`);
+      }
+      if (!OVERLAY_FONTS[layer.font]) throw new Error(`Unknown overlay font: ${layer.font}`);
+      if (!COLOUR.test(layer.colour)) throw new Error(`Overlay colours must look like #rrggbb: ${layer.colour}`);
+      const { text, font, colour } = layer;
+      return { type: 'text', text, font, colour, shadow: Boolean(layer.shadow), ...position };
+    }
+    if (layer.type === 'image') {
+      if (typeof layer.src !== 'string' || !IMAGE_SOURCE.test(layer.src)) {
+        throw new Error('Overlay images must be PNG, JPEG or WebP data URLs');
+      }
+      const aspect = Number(layer.aspect);
+      return { type: 'image', src: layer.src, aspect: aspect > 0 && aspect < 100 ? aspect : 1, ...position };
+    }
+    throw new Error(`Unknown overlay type: ${layer.type}`);
+  });
+};
+
+// The layers as an SVG the size of a width x height print. Text lines are
+// centred on the layer position; shadows scale with the text.
+export const getOverlaySvg = (layers, width, height) => {
+  const unit = Math.min(width, height) / 100;
+  const elements = layers.map((layer, index) => {
+    const x = layer.x * width;
+    const y = layer.y * height;
+    if (layer.type === 'image') {
+      const logoWidth = layer.size * unit;
+      const logoHeight = logoWidth * layer.aspect;
+      return `<image href="${layer.src}" x="${x - logoWidth / 2}" y="${y - logoHeight / 2}"
+        width="${logoWidth}" height="${logoHeight}" preserveAspectRatio="xMidYMid meet"/>`;
+    }
+
+    const fontSize = layer.size * unit;
+    const lines = layer.text.split('\n');
+    // 0.35em drops a line's middle onto its baseline position
+    const firstLine = 0.35 - ((lines.length - 1) * 1.2) / 2;
+    const tspans = lines.map((line, i) =>
+      `<tspan x="${x}" dy="${i === 0 ? firstLine : 1.2}em">${escapeXml(line) || ' '}</tspan>`).join('');
+    const attributes = `y="${y}" font-family="${OVERLAY_FONTS[layer.font].family}" font-size="${fontSize}" text-anchor="middle"`;
+    const shadow = layer.shadow
+      ? `<filter id="shadow${index}" x="-20%" y="-20%" width="140%" height="140%">
+          <feGaussianBlur stdDeviation="${fontSize / 20}"/>
+        </filter>
+        <text ${attributes} fill="#000000" fill-opacity="0.6" filter="url(#shadow${index})"
+          transform="translate(${fontSize / 20} ${fontSize / 20})">${tspans}</text>`
+      : '';
+    return `${shadow}<text ${attributes} fill="${layer.colour}">${tspans}</text>`;
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+    ${elements.join('\n')}
+  </svg>`;
+};
+
+// getOverlaySvg as a URL an <img> can show
+export const getOverlayDataUrl = (layers, width, height) =>
+  `data:image/svg+xml;charset=utf-8,${encodeURIComponent(getOverlaySvg(layers, width, height))}`;
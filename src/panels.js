@@ -0,0 +1,73 @@
+// Multi-panel prints: one picture split across several plates that hang
+// with a gap between them. Shared by the React app and lib/pipeline.js.
+import { getGuideInsets, getOutputSize } from './geometry.js';
+
+// `orientation` is the way each panel hangs, when the preset allows it
+export const PANEL_LAYOUTS = {
+  diptych: { label: 'Diptych (2 side by side)', columns: 2, rows: 1, orientation: 'vertical' },
+  triptych: { label: 'Triptych (3 side by side)', columns: 3, rows: 1, orientation: 'vertical' },
+  'triptych-stacked': { label: 'Triptych (3 stacked)', columns: 1, rows: 3, orientation: 'horizontal' },
+  quad: { label: '4 side by side', columns: 4, rows: 1, orientation: 'vertical' },
+  grid: { label: '2 x 2 grid', columns: 2, rows: 2, orientation: 'horizontal' },
+};
+
+// Space between neighbouring plates on the wall, in centimetres
+export const DEFAULT_PANEL_GAP = 2;
+export const MAX_PANEL_GAP = 20;
+
+// How a layout cuts up the picture for a preset. Every panel is a full print
+// for the preset; the picture behind the gaps is left out, so it lines up
+// across the plates once they hang `gap` cm apart. Returns the panel and gap
+// rectangles in pixels of the whole picture, and the whole picture as a
+// preset (`picture`) the crop editor and the pipeline can crop to as usual.
+export const getPanelPlan = (layoutId, gap, preset) => {
+  const layout = PANEL_LAYOUTS[layoutId];
+  const orientation = preset.orientations.includes(layout.orientation) ? layout.orientation : preset.orientations[0];
+  const panel = getOutputSize(orientation, preset);
+  const { short, long } = preset.printSize;
+  const panelWidthCm = orientation === 'vertical' ? short : long;
+  const gapPixels = Math.round((gap * panel.width) / panelWidthCm);
+
+  const panels = [];
+  for (let row = 0; row < layout.rows; row++) {
+    for (let column = 0; column < layout.columns; column++) {
+      panels.push({
+        left: column * (panel.width + gapPixels),
+        top: row * (panel.height + gapPixels),
+        width: panel.width,
+        height: panel.height,
+      });
+    }
+  }
+  const width = layout.columns * panel.width + (layout.columns - 1) * gapPixels;
+  const height = layout.rows * panel.height + (layout.rows - 1) * gapPixels;
+  const gaps = [
+    ...Array.from({ length: layout.columns - 1 }, (_, i) => ({
+      left: (i + 1) * panel.width + i * gapPixels, top: 0, width: gapPixels, height,
+    })),
+    ...Array.from({ length: layout.rows - 1 }, (_, i) => ({
+      left: 0, top: (i + 1) * panel.height + i * gapPixels, width, height: gapPixels,
+    })),
+  ];
+
+  const shortSide = Math.min(width, height);
+  const longSide = Math.max(width, height);
+  const cm = (pixels) => (pixels * panelWidthCm) / panel.width;
+  return {
+    layout,
+    orientation,
+    size: { width, height },
+    panels,
+    gaps,
+    // Print guides of each panel, as fractions of the panel
+    guides: getGuideInsets(orientation, preset),
+    picture: {
+      ...preset,
+      ratio: longSide / shortSide,
+      minShortSide: shortSide,
+      // Squares count as vertical, like getOrientation
+      orientations: [width > height ? 'horizontal' : 'vertical'],
+      printSize: { short: cm(shortSide), long: cm(longSide) },
+    },
+  };
+};
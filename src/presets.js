@@ -0,0 +1,75 @@
+// Product presets shared by the React app and server.js.
+//
+// ratio:        long side / short side
+// minShortSide: short side of the output in pixels (the long side follows from the ratio)
+// dpi:          print resolution, minShortSide over the short side of printSize
+// orientations: which way round the product can be printed
+// printSize:    physical size in centimetres (short x long)
+// guides:       margins in centimetres from each edge of the print: `bleed` is
+//               trimmed off, and detail inside `safe` may be lost in print
+export const PRESETS = [
+  {
+    id: 'displate-m',
+    label: 'Displate M (32 x 45 cm)',
+    ratio: 1.4,
+    minShortSide: 2900,
+    dpi: 230,
+    orientations: ['vertical', 'horizontal'],
+    printSize: { short: 32, long: 45 },
+    guides: { bleed: 0.3, safe: 1.5 },
+  },
+  {
+    id: 'displate-l',
+    label: 'Displate L (48 x 67.5 cm)',
+    ratio: 1.4,
+    minShortSide: 2900,
+    dpi: 153,
+    orientations: ['vertical', 'horizontal'],
+    printSize: { short: 48, long: 67.5 },
+    guides: { bleed: 0.3, safe: 1.5 },
+  },
+  {
+    id: 'displate-xl',
+    label: 'Displate XL (64 x 90 cm)',
+    ratio: 1.4,
+    minShortSide: 2900,
+    dpi: 115,
+    orientations: ['vertical', 'horizontal'],
+    printSize: { short: 64, long: 90 },
+    guides: { bleed: 0.3, safe: 1.5 },
+  },
+  {
+    id: 'poster-a3',
+    label: 'Poster A3 (29.7 x 42 cm)',
+    ratio: Math.SQRT2,
+    minShortSide: 3508,
+    dpi: 300,
+    orientations: ['vertical', 'horizontal'],
+    printSize: { short: 29.7, long: 42 },
+    guides: { bleed: 0.3, safe: 0.8 },
+  },
+  {
+    id: 'poster-40x60',
+    label: 'Poster 40 x 60 cm',
+    ratio: 1.5,
+    minShortSide: 4724,
+    dpi: 300,
+    orientations: ['vertical'],
+    printSize: { short: 40, long: 60 },
+    guides: { bleed: 0.3, safe: 0.8 },
+  },
+  {
+    id: 'square-30',
+    label: 'Square 30 x 30 cm',
+    ratio: 1,
+    minShortSide: 3543,
+    dpi: 300,
+    orientations: ['vertical'],
+    printSize: { short: 30, long: 30 },
+    guides: { bleed: 0.3, safe: 0.8 },
+  },
+];
+
+export const DEFAULT_PRESET = PRESETS[0];
+
+export const getPreset = (id) => PRESETS.find((preset) => preset.id === id);
@@ -0,0 +1,76 @@
+// Web Worker that makes a print-ready image without the server. Follows
+// processImage in lib/pipeline.js, except for colour management: the browser
+// decodes to sRGB and canvas JPEGs carry no ICC profile.
+import { drawPrint } from './canvas';
+import { adjustPixels, hasAdjustments, normaliseAdjustments } from './adjustments';
+import { BROWSER_OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMAT, OUTPUT_FORMATS, findQualityForBudget } from './formats';
+
+// Canvas JPEGs start with a JFIF header saying "no units"; write the DPI
+// there, like withMetadata({ density }) on the server
+const setJpegDensity = (bytes, dpi) => {
+  const isJfif = bytes[2] === 0xff && bytes[3] === 0xe0 &&
+    String.fromCharCode(...bytes.subarray(6, 10)) === 'JFIF';
+  if (!isJfif) return;
+  bytes[13] = 1; // Dots per inch
+  bytes[14] = dpi >> 8;
+  bytes[15] = dpi & 0xff;
+  bytes[16] = dpi >> 8;
+  bytes[17] = dpi & 0xff;
+};
+
+// `fields` are the same form fields /process-image takes
+const processImage = async (file, fields, preset) => {
+  const format = fields.format || DEFAULT_OUTPUT_FORMAT;
+  if (!BROWSER_OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`${OUTPUT_FORMATS[format]?.label || format} output needs the server`);
+  }
+  // Workers can't draw SVG, which the layers are rendered from
+  if (fields.overlays && fields.overlays !== '[]') {
+    throw new Error('Text and logo layers need the server');
+  }
+
+  // createImageBitmap applies the EXIF orientation, so the bitmap is upright
+  const bitmap = await createImageBitmap(file);
+  const { canvas, factor } = drawPrint(bitmap, fields, preset);
+  bitmap.close();
+  const ctx = canvas.getContext('2d');
+
+  // Colour adjustments, after the fill like the server
+  const adjustments = normaliseAdjustments(fields);
+  if (hasAdjustments(adjustments)) {
+    const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    adjustPixels(pixels.data, 4, adjustments);
+    ctx.putImageData(pixels, 0, 0);
+  }
+
+  // Same quality and size budget handling as the server
+  const { mimeType, quality: defaultQuality } = OUTPUT_FORMATS[format];
+  const encode = async (quality) => {
+    const blob = await canvas.convertToBlob({ type: mimeType, quality: quality ? quality / 100 : undefined });
+    return new Uint8Array(await blob.arrayBuffer());
+  };
+  const maxQuality = defaultQuality && (parseInt(fields.quality, 10) || defaultQuality);
+  const maxBytes = parseFloat(fields.maxSizeMb) * 1024 * 1024;
+
+  let bytes;
+  let quality = maxQuality;
+  let fits = null;
+  if (maxBytes && maxQuality) {
+    ({ data: bytes, quality, fits } = await findQualityForBudget(encode, maxBytes, maxQuality));
+  } else {
+    bytes = await encode(maxQuality);
+    if (maxBytes) fits = bytes.byteLength <= maxBytes;
+  }
+  if (format === 'jpeg') setJpegDensity(bytes, preset.dpi);
+  return { bytes, factor, output: { format, quality, size: bytes.byteLength, budgetMet: fits } };
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, file, fields, preset } = data;
+  try {
+    const { bytes, factor, output } = await processImage(file, fields, preset);
+    self.postMessage({ id, bytes, factor, output }, [bytes.buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,42 @@
+// The editing session in IndexedDB, so a reload picks up where the user left
+// off. The image and the settings are stored apart so changing a setting
+// doesn't write the whole image again.
+const DB_NAME = 'displate-custom';
+const STORE = 'session';
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run one request against the store and resolve to its result once the
+// transaction is done
+const withStore = async (mode, action) => {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE, mode);
+      const request = action(transaction.objectStore(STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+// `name` is 'file' (the image as a File) or 'settings' (a plain object)
+export const saveSession = (name, value) => withStore('readwrite', (store) => store.put(value, name));
+
+// Resolves to { file, settings }, either of which may be undefined
+export const loadSession = async () => {
+  const [file, settings] = await Promise.all([
+    withStore('readonly', (store) => store.get('file')),
+    withStore('readonly', (store) => store.get('settings')),
+  ]);
+  return { file, settings };
+};
+
+export const clearSession = () => withStore('readwrite', (store) => store.clear());
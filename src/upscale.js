@@ -0,0 +1,69 @@
+// Upscaling strategies and print quality, shared by the React app and server.js
+import { DEFAULT_PRESET } from './presets.js';
+import {
+  calculateEditorCrop, getFillRect, getOutputSize, getRotatedBounds, getRotatedOrientation,
+} from './geometry.js';
+
+// 'auto' picks one of the others from the upscale factor (see pickUpscaleStrategy)
+export const UPSCALE_STRATEGIES = ['auto', 'direct', 'stepwise', 'enhanced'];
+
+export const UPSCALE_STRATEGY_LABELS = {
+  auto: 'Automatic',
+  direct: 'Single resize',
+  stepwise: 'Stepwise resize with sharpening',
+  enhanced: 'Stepwise resize with denoising and sharpening',
+};
+
+// Largest scale of a single resize step; bigger jumps are split up
+const MAX_STEP = 2;
+
+// Strategy for an upscale factor: small enlargements need nothing special,
+// big ones pick up noise and softness that have to be dealt with
+export const pickUpscaleStrategy = (factor) => {
+  if (factor <= 1.25) return 'direct';
+  if (factor <= 2.5) return 'stepwise';
+  return 'enhanced';
+};
+
+// How to resize by `factor`: the number of resize steps, unsharp mask
+// settings for sharp's sharpen() (or null) and whether to denoise
+export const getUpscalePlan = (factor, strategy = 'auto') => {
+  const resolved = strategy === 'auto' ? pickUpscaleStrategy(factor) : strategy;
+  if (resolved === 'direct' || factor <= 1) {
+    return { strategy: resolved, steps: 1, sharpen: null, denoise: false };
+  }
+  return {
+    strategy: resolved,
+    steps: Math.ceil(Math.log(factor) / Math.log(MAX_STEP)),
+    // Blurrier results from bigger enlargements need a wider mask
+    sharpen: { sigma: Number(Math.min(0.5 + factor * 0.25, 2).toFixed(2)), m1: 1, m2: 2 },
+    denoise: resolved === 'enhanced',
+  };
+};
+
+// Resolution the source pixels end up printed at
+export const getEffectiveDpi = (factor, preset = DEFAULT_PRESET) => Math.round(preset.dpi / factor);
+
+// Quality ratings, best first, by effective DPI as a share of the preset DPI
+export const QUALITY_RATINGS = [
+  { rating: 'excellent', label: 'Excellent', minShare: 0.9 },
+  { rating: 'good', label: 'Good', minShare: 2 / 3 },
+  { rating: 'fair', label: 'Fair', minShare: 0.5 },
+  { rating: 'poor', label: 'Poor', minShare: 0 },
+];
+
+export const getQualityRating = (effectiveDpi, preset = DEFAULT_PRESET) =>
+  QUALITY_RATINGS.find(({ minShare }) => effectiveDpi >= preset.dpi * minShare).rating;
+
+// Upscale factor for an image of width x height with the crop editor
+// `settings` and a fill mode (see FILL_MODES)
+export const getUpscaleFactor = (width, height, settings, mode = 'crop', preset = DEFAULT_PRESET) => {
+  if (mode === 'crop') {
+    const crop = calculateEditorCrop(width, height, settings, preset);
+    return getOutputSize(crop.orientation, preset).width / crop.width;
+  }
+  const rotation = settings?.rotation || 0;
+  const bounds = getRotatedBounds(width, height, rotation);
+  const output = getOutputSize(getRotatedOrientation(width, height, rotation, preset), preset);
+  return getFillRect(bounds.width, bounds.height, output).width / bounds.width;
+};
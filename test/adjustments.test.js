@@ -0,0 +1,89 @@
+// Colour adjustments must come out the same from the server (sharp) and the
+// browser (adjustPixels, and the SVG filter built from the same matrix).
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import sharp from 'sharp';
+import { processImage, setLogger } from '../lib/pipeline.js';
+import { adjustPixels, getSaturationMatrix } from '../src/adjustments.js';
+import { getPreset } from '../src/presets.js';
+
+// Exactly the output size, so processImage doesn't resample
+const PRESET = { ...getPreset('displate-m'), minShortSide: 300 };
+const WIDTH = 300;
+const HEIGHT = 420;
+
+// Hue across, brightness down, plus the colour from the bug report in the corner
+const createImage = () => {
+  const pixels = Buffer.alloc(WIDTH * HEIGHT * 3);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const light = y / HEIGHT;
+      const rgb = [x / WIDTH, (x * 3) / WIDTH % 1, 1 - x / WIDTH].map((channel) => Math.round(255 * channel * light));
+      pixels.set(x < 10 && y < 10 ? [100, 150, 60] : rgb, (y * WIDTH + x) * 3);
+    }
+  }
+  return sharp(pixels, { raw: { width: WIDTH, height: HEIGHT, channels: 3 } }).png().toBuffer();
+};
+
+const ADJUSTMENT_CASES = [
+  { saturation: 50 },
+  { saturation: -60 },
+  { saturation: 100, contrast: 30 },
+  { brightness: 10, contrast: 20, gamma: 1.3, temperature: 30, tint: -10 },
+  { saturation: 40, gamma: 0.7, contrast: -20, brightness: -15 },
+];
+
+describe('colour adjustments', () => {
+  let image;
+  let original;
+  const render = async (fields) => {
+    const { buffer } = await processImage(image, { format: 'png', ...fields }, PRESET);
+    return sharp(buffer).removeAlpha().raw().toBuffer();
+  };
+  before(async () => {
+    setLogger(() => {});
+    image = await createImage();
+    original = await render({});
+  });
+
+  for (const adjustments of ADJUSTMENT_CASES) {
+    test(`server and browser agree on ${JSON.stringify(adjustments)}`, async () => {
+      const fields = Object.fromEntries(Object.entries(adjustments).map(([name, value]) => [name, String(value)]));
+      const server = await render(fields);
+      const browser = Uint8Array.from(original);
+      adjustPixels(browser, 3, adjustments);
+      // libvips rounds a few values differently, by one level at most
+      let largest = 0;
+      let different = 0;
+      browser.forEach((value, i) => {
+        largest = Math.max(largest, Math.abs(value - server[i]));
+        if (value !== server[i]) different++;
+      });
+      assert.ok(largest <= 1, `differ by up to ${largest}`);
+      assert.ok(different < browser.length / 1000, `${different} values differ`);
+    });
+  }
+
+  test('saturation +50 on the reported colour', async () => {
+    const pixel = Uint8Array.from([100, 150, 60]);
+    adjustPixels(pixel, 3, { saturation: 50 });
+    const server = await render({ saturation: '50' });
+    assert.deepEqual([...server.subarray(0, 3)], [...pixel]);
+    // Not the clipped (70, 155, 0) that sharp's modulate gave
+    assert.deepEqual([...pixel], [83, 158, 23]);
+  });
+
+  test('the matrix is the SVG saturate filter', () => {
+    // From the Filter Effects spec for <feColorMatrix type="saturate" values="s">
+    const s = 0.4;
+    const expected = [
+      [0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s],
+      [0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s],
+      [0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s],
+    ];
+    getSaturationMatrix(s).forEach((row, i) => row.forEach((value, j) => {
+      assert.ok(Math.abs(value - expected[i][j]) < 1e-12, `row ${i}, column ${j}`);
+    }));
+  });
+});
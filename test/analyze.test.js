@@ -0,0 +1,98 @@
+// The report analyze makes: what it calls blank and the bit depth it reads.
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import sharp from 'sharp';
+import { analyze, setLogger } from '../lib/pipeline.js';
+import { getPreset } from '../src/presets.js';
+
+const PRESET = { ...getPreset('displate-m'), minShortSide: 300 };
+const WIDTH = 300;
+const HEIGHT = 420;
+
+// A shape or two on a plain background, like a vector poster
+const createFlatArt = () => sharp({ create: { width: WIDTH, height: HEIGHT, channels: 3, background: '#f4e9d8' } })
+  .composite([
+    { input: { create: { width: 60, height: 60, channels: 3, background: '#c0392b' } }, left: 120, top: 100 },
+    { input: { create: { width: 120, height: 20, channels: 3, background: '#2c3e50' } }, left: 90, top: 300 },
+  ])
+  .png()
+  .toBuffer();
+
+const createFlat = (background) =>
+  sharp({ create: { width: WIDTH, height: HEIGHT, channels: 3, background } }).png().toBuffer();
+
+// sharp can't write floating point TIFFs, so build an uncompressed greyscale
+// 32-bit float one by hand. `value(x, y)` gives each pixel, from 0 to 1.
+const createFloatTiff = (value) => {
+  const entries = [
+    [256, 4, WIDTH], // ImageWidth
+    [257, 4, HEIGHT], // ImageLength
+    [258, 3, 32], // BitsPerSample
+    [259, 3, 1], // Compression: none
+    [262, 3, 1], // PhotometricInterpretation: black is zero
+    [273, 4, 8 + 2 + 10 * 12 + 4], // StripOffsets: right after the IFD
+    [277, 3, 1], // SamplesPerPixel
+    [278, 4, HEIGHT], // RowsPerStrip
+    [279, 4, WIDTH * HEIGHT * 4], // StripByteCounts
+    [339, 3, 3], // SampleFormat: IEEE float
+  ];
+  const ifd = Buffer.alloc(2 + entries.length * 12 + 4);
+  ifd.writeUInt16LE(entries.length, 0);
+  entries.forEach(([tag, type, count], i) => {
+    ifd.writeUInt16LE(tag, 2 + i * 12);
+    ifd.writeUInt16LE(type, 4 + i * 12);
+    ifd.writeUInt32LE(1, 6 + i * 12);
+    if (type === 3) ifd.writeUInt16LE(count, 10 + i * 12);
+    else ifd.writeUInt32LE(count, 10 + i * 12);
+  });
+  const pixels = Buffer.alloc(WIDTH * HEIGHT * 4);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) pixels.writeFloatLE(value(x, y), (y * WIDTH + x) * 4);
+  }
+  return Buffer.concat([Buffer.from('II*\0'), Buffer.from([8, 0, 0, 0]), ifd, pixels]);
+};
+
+const findingCodes = (report) => report.findings.map((finding) => finding.code);
+
+describe('analyze', () => {
+  before(() => setLogger(() => {}));
+
+  test('does not call flat vector art blank', async () => {
+    const art = await createFlatArt();
+    // Little enough detail that the old entropy check flagged it
+    assert.ok((await sharp(art).stats()).entropy < 1);
+    const report = await analyze(art, {}, PRESET);
+    assert.ok(!findingCodes(report).includes('blank'));
+  });
+
+  test('calls a single colour blank', async () => {
+    const report = await analyze(await createFlat('#777777'), {}, PRESET);
+    assert.ok(findingCodes(report).includes('blank'));
+  });
+
+  test('reads 8 and 16 bit PNGs', async () => {
+    const shallow = await analyze(await createFlatArt(), {}, PRESET);
+    assert.equal(shallow.bitDepth, 8);
+    assert.ok(!findingCodes(shallow).some((code) => code.endsWith('-to-8bit')));
+    const deep = await sharp(await createFlatArt()).toColourspace('rgb16').png().toBuffer();
+    const report = await analyze(deep, {}, PRESET);
+    assert.equal(report.bitDepth, 16);
+    assert.ok(!findingCodes(report).includes('blank'));
+    const reduced = report.findings.find((finding) => finding.code === 'ushort-to-8bit');
+    assert.equal(reduced.message, 'Reduced from 16-bit to 8 bits per channel');
+  });
+
+  test('reads a 32-bit float TIFF', async () => {
+    const gradient = createFloatTiff((x) => x / WIDTH);
+    assert.equal((await sharp(gradient).metadata()).depth, 'float');
+    const report = await analyze(gradient, {}, PRESET);
+    assert.equal(report.bitDepth, 32);
+    assert.ok(!findingCodes(report).includes('blank'));
+    const reduced = report.findings.find((finding) => finding.code === 'float-to-8bit');
+    assert.equal(reduced.message, 'Reduced from 32-bit floating point to 8 bits per channel');
+
+    const flat = await analyze(createFloatTiff(() => 0.5), {}, PRESET);
+    assert.ok(findingCodes(flat).includes('blank'));
+  });
+});
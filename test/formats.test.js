@@ -0,0 +1,20 @@
+// Which dropped or picked files the app lets through to the server
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isImageFile } from '../src/formats.js';
+
+describe('isImageFile', () => {
+  test('goes by the MIME type when there is one', () => {
+    assert.ok(isImageFile({ name: 'art.png', type: 'image/png' }));
+    assert.ok(isImageFile({ name: 'download', type: 'image/jpeg' }));
+    assert.ok(!isImageFile({ name: 'notes.txt', type: 'text/plain' }));
+  });
+
+  test('goes by the extension for files without one', () => {
+    for (const name of ['IMG_0001.HEIC', 'photo.heif', 'scan.tif', 'scan.TIFF']) {
+      assert.ok(isImageFile({ name, type: '' }), name);
+    }
+    assert.ok(!isImageFile({ name: 'archive.zip', type: '' }));
+    assert.ok(!isImageFile({ name: 'heic', type: '' }));
+  });
+});
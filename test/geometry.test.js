@@ -0,0 +1,105 @@
+// Crop geometry at the edge ratios: square, exactly the preset ratio,
+// panoramas and tiny images. Sizes are for the default preset (1.4, 2900 px).
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateCrop, containerPointToImage, getCropSize, getOrientation, getOutputSize, toPixelRect,
+} from '../src/geometry.js';
+import { getPreset } from '../src/presets.js';
+
+// Compare objects of numbers, allowing for floating point noise
+const assertClose = (actual, expected) => {
+  assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort());
+  for (const [key, value] of Object.entries(expected)) {
+    if (typeof value === 'number') {
+      assert.ok(Math.abs(actual[key] - value) < 1e-6, `${key}: expected ${value}, got ${actual[key]}`);
+    } else {
+      assert.equal(actual[key], value, key);
+    }
+  }
+};
+
+describe('getOrientation', () => {
+  const cases = [
+    ['square', 1000, 1000, 'vertical'],
+    ['exactly 1.4 tall', 1000, 1400, 'vertical'],
+    ['exactly 1.4 wide', 1400, 1000, 'horizontal'],
+    // The preview used to call this landscape while the server made it portrait
+    ['1000x1200', 1000, 1200, 'vertical'],
+    ['panorama', 6000, 1000, 'horizontal'],
+    ['tall panorama', 1000, 6000, 'vertical'],
+    ['tiny square', 1, 1, 'vertical'],
+    ['tiny wide', 2, 1, 'horizontal'],
+  ];
+  for (const [name, width, height, orientation] of cases) {
+    test(name, () => assert.equal(getOrientation(width, height), orientation));
+  }
+
+  test('presets with one orientation always get it', () => {
+    assert.equal(getOrientation(6000, 1000, getPreset('poster-40x60')), 'vertical');
+  });
+});
+
+describe('getOutputSize', () => {
+  test('vertical and horizontal', () => {
+    assert.deepEqual(getOutputSize('vertical'), { width: 2900, height: 4060 });
+    assert.deepEqual(getOutputSize('horizontal'), { width: 4060, height: 2900 });
+  });
+});
+
+describe('getCropSize', () => {
+  const cases = [
+    ['square', 1000, 1000, 'vertical', { width: 1000 / 1.4, height: 1000 }],
+    ['exactly 1.4', 1000, 1400, 'vertical', { width: 1000, height: 1400 }],
+    ['exactly 1.4 wide', 1400, 1000, 'horizontal', { width: 1400, height: 1000 }],
+    ['1000x1200', 1000, 1200, 'vertical', { width: 1200 / 1.4, height: 1200 }],
+    ['panorama', 6000, 1000, 'horizontal', { width: 1400, height: 1000 }],
+    ['tall panorama', 1000, 6000, 'vertical', { width: 1000, height: 1400 }],
+    ['tiny', 1, 1, 'vertical', { width: 1 / 1.4, height: 1 }],
+  ];
+  for (const [name, width, height, orientation, expected] of cases) {
+    test(name, () => assertClose(getCropSize(width, height, orientation), expected));
+  }
+});
+
+describe('calculateCrop', () => {
+  const cases = [
+    ['square', [1000, 1000], { orientation: 'vertical', left: (1000 - 1000 / 1.4) / 2, top: 0, width: 1000 / 1.4, height: 1000 }],
+    ['exactly 1.4', [1000, 1400], { orientation: 'vertical', left: 0, top: 0, width: 1000, height: 1400 }],
+    ['1000x1200', [1000, 1200], { orientation: 'vertical', left: (1000 - 1200 / 1.4) / 2, top: 0, width: 1200 / 1.4, height: 1200 }],
+    ['panorama', [6000, 1000], { orientation: 'horizontal', left: 2300, top: 0, width: 1400, height: 1000 }],
+    ['panorama, centre at the left edge', [6000, 1000, 0, 500], { orientation: 'horizontal', left: 0, top: 0, width: 1400, height: 1000 }],
+    ['panorama, centre past the right edge', [6000, 1000, 7000, 500], { orientation: 'horizontal', left: 4600, top: 0, width: 1400, height: 1000 }],
+    ['tiny', [1, 1], { orientation: 'vertical', left: (1 - 1 / 1.4) / 2, top: 0, width: 1 / 1.4, height: 1 }],
+  ];
+  for (const [name, args, expected] of cases) {
+    test(name, () => assertClose(calculateCrop(...args), expected));
+  }
+});
+
+describe('containerPointToImage', () => {
+  // The preview box is 4:3, so containers are 0.75 as high as they are wide
+  const cases = [
+    ['1000x1200 middle', [{ x: 0.5, y: 0.5 }, 1000, 1200], { x: 500, y: 600 }],
+    ['1000x1200 top left of the image', [{ x: 0.1875, y: 0 }, 1000, 1200], { x: 0, y: 0 }],
+    ['square corners', [{ x: 0.875, y: 1 }, 1000, 1000], { x: 1000, y: 1000 }],
+    ['panorama middle', [{ x: 0.5, y: 0.5 }, 6000, 1000], { x: 3000, y: 500 }],
+    ['panorama top of the image', [{ x: 0, y: (0.75 - 1 / 6) / 2 / 0.75 }, 6000, 1000], { x: 0, y: 0 }],
+  ];
+  for (const [name, [point, width, height], expected] of cases) {
+    test(name, () => assertClose(containerPointToImage(point, width, height, 0.75), expected));
+  }
+});
+
+describe('toPixelRect', () => {
+  const cases = [
+    ['1000x1200 crop', [calculateCrop(1000, 1200), 1000, 1200], { left: 71, top: 0, width: 857, height: 1200 }],
+    ['exactly 1.4 is the whole image', [calculateCrop(1000, 1400), 1000, 1400], { left: 0, top: 0, width: 1000, height: 1400 }],
+    ['rounding up stays inside', [{ left: 142.6, top: 0, width: 857.5, height: 1200 }, 1000, 1200], { left: 142, top: 0, width: 858, height: 1200 }],
+    ['outside the image', [{ left: -3, top: -2, width: 2000, height: 50 }, 1000, 1200], { left: 0, top: 0, width: 1000, height: 50 }],
+    ['tiny is at least a pixel', [calculateCrop(1, 1), 1, 1], { left: 0, top: 0, width: 1, height: 1 }],
+  ];
+  for (const [name, args, expected] of cases) {
+    test(name, () => assert.deepEqual(toPixelRect(...args), expected));
+  }
+});
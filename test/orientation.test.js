@@ -0,0 +1,111 @@
+// processImage on photos with each of the eight EXIF orientations: the crop
+// must cut the same region out of the upright image as it does from a photo
+// stored upright, with and without a rotation from the crop editor.
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import sharp from 'sharp';
+import { processImage, setLogger } from '../lib/pipeline.js';
+import { getRotatedBounds } from '../src/geometry.js';
+import { getPreset } from '../src/presets.js';
+
+const WIDTH = 600;
+const HEIGHT = 900;
+// Small prints keep the tests fast
+const PRESET = { ...getPreset('displate-m'), minShortSide: 200 };
+
+// An upright picture no mirror or turn leaves unchanged: four colours
+// meeting off centre
+const QUADRANTS = [[220, 30, 30], [30, 200, 60], [40, 60, 220], [240, 220, 40]];
+const createReference = () => {
+  const pixels = Buffer.alloc(WIDTH * HEIGHT * 3);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      pixels.set(QUADRANTS[(y < 500 ? 0 : 2) + (x < 200 ? 0 : 1)], (y * WIDTH + x) * 3);
+    }
+  }
+  return sharp(pixels, { raw: { width: WIDTH, height: HEIGHT, channels: 3 } }).png().toBuffer();
+};
+
+// How each orientation is stored, as the turn (clockwise) and mirror that
+// take the upright picture to the stored pixels; viewers undo them
+const STORED = {
+  1: { angle: 0, flop: false },
+  2: { angle: 0, flop: true },
+  3: { angle: 180, flop: false },
+  4: { angle: 180, flop: true },
+  5: { angle: 90, flop: true },
+  6: { angle: 270, flop: false },
+  7: { angle: 270, flop: true },
+  8: { angle: 90, flop: false },
+};
+
+const createFixture = async (reference, orientation) => {
+  const { angle, flop } = STORED[orientation];
+  let stored = await sharp(reference).rotate(angle).png().toBuffer();
+  if (flop) stored = await sharp(stored).flop().png().toBuffer();
+  return sharp(stored).jpeg({ quality: 95 }).withMetadata({ orientation }).toBuffer();
+};
+
+const toRaw = (buffer) => sharp(buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+
+const meanDifference = (a, b) => {
+  assert.equal(a.length, b.length);
+  let total = 0;
+  for (let i = 0; i < a.length; i++) total += Math.abs(a[i] - b[i]);
+  return total / a.length;
+};
+
+// 300 x 420 px from 10% across and 20% down the rotated picture, which
+// without a rotation is (60, 180) of the upright one, across all four colours
+const getCropFields = (rotation) => {
+  const bounds = getRotatedBounds(WIDTH, HEIGHT, rotation);
+  return {
+    mode: 'crop',
+    format: 'png',
+    rotation: String(rotation),
+    cropX: '0.1',
+    cropY: '0.2',
+    cropWidth: String(300 / bounds.width),
+    cropHeight: String(420 / bounds.height),
+  };
+};
+
+describe('EXIF orientations', () => {
+  let reference;
+  const fixtures = {};
+  before(async () => {
+    setLogger(() => {});
+    reference = await createReference();
+    for (const orientation of Object.keys(STORED)) {
+      fixtures[orientation] = await createFixture(reference, Number(orientation));
+    }
+  });
+
+  test('fixtures show the reference when turned upright by libvips', async () => {
+    const { data: expected } = await toRaw(reference);
+    for (const [orientation, fixture] of Object.entries(fixtures)) {
+      const { data, info } = await toRaw(await sharp(fixture).rotate().toBuffer());
+      assert.deepEqual([info.width, info.height], [WIDTH, HEIGHT], `orientation ${orientation}`);
+      assert.ok(meanDifference(data, expected) < 2, `orientation ${orientation}`);
+    }
+  });
+
+  for (const rotation of [0, 5]) {
+    test(`crops the same region with rotation ${rotation}`, async () => {
+      const fields = getCropFields(rotation);
+      // Without a rotation, the region is a plain extract of the reference
+      const expectedPrint = rotation === 0
+        ? await sharp(reference).extract({ left: 60, top: 180, width: 300, height: 420 }).resize(200, 280).png().toBuffer()
+        : (await processImage(reference, fields, PRESET)).buffer;
+      const { data: expected } = await toRaw(expectedPrint);
+
+      for (const [orientation, fixture] of Object.entries(fixtures)) {
+        const { data, info } = await toRaw((await processImage(fixture, fields, PRESET)).buffer);
+        assert.deepEqual([info.width, info.height], [200, 280], `orientation ${orientation}`);
+        const difference = meanDifference(data, expected);
+        assert.ok(difference < 4, `orientation ${orientation} differs by ${difference.toFixed(1)} on average`);
+      }
+    });
+  }
+});
@@ -0,0 +1,28 @@
+// The preset catalogue has to agree with itself: the pixel size, print size
+// and DPI of each preset describe the same print.
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PRESETS } from '../src/presets.js';
+import { getEffectiveDpi } from '../src/upscale.js';
+
+const CM_PER_INCH = 2.54;
+
+describe('presets', () => {
+  for (const preset of PRESETS) {
+    test(`${preset.id} prints minShortSide at its dpi`, () => {
+      const dpi = preset.minShortSide / (preset.printSize.short / CM_PER_INCH);
+      assert.ok(Math.abs(dpi - preset.dpi) < 1, `${preset.minShortSide} px over ${preset.printSize.short} cm is ${dpi.toFixed(1)} DPI, not ${preset.dpi}`);
+    });
+
+    test(`${preset.id} has the ratio of its print size`, () => {
+      const ratio = preset.printSize.long / preset.printSize.short;
+      assert.ok(Math.abs(ratio - preset.ratio) < 0.01, `${ratio} vs ${preset.ratio}`);
+    });
+  }
+
+  test('effective DPI is the source pixels over the print size', () => {
+    // A 1450 px short side on a 48 cm Displate L
+    const preset = PRESETS.find(({ id }) => id === 'displate-l');
+    assert.equal(getEffectiveDpi(2, preset), Math.round(1450 / (48 / CM_PER_INCH)));
+  });
+});
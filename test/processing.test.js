@@ -0,0 +1,120 @@
+// The browser worker (drawPrint on a canvas) and the server (processImage with
+// sharp) must make the same print from the same fields. Node has no
+// OffscreenCanvas, so the worker's drawing runs on @napi-rs/canvas, which
+// draws with Skia like Chrome does.
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import sharp from 'sharp';
+import { createCanvas, loadImage } from '@napi-rs/canvas';
+import { drawPrint } from '../src/canvas.js';
+import { calculateEditorCrop } from '../src/geometry.js';
+import { getPreset } from '../src/presets.js';
+import { getPrintLayout, processImage, setLogger, validateFields } from '../lib/pipeline.js';
+
+globalThis.OffscreenCanvas ??= class {
+  constructor(width, height) {
+    return createCanvas(width, height);
+  }
+};
+
+// Output smaller than the images, so neither side upscales and sharpens
+const PRESETS = ['displate-m', 'poster-40x60'].map((id) => ({ ...getPreset(id), minShortSide: 200 }));
+const IMAGES = [[600, 900], [900, 500]];
+
+// Four colours meeting off-center, so a crop in the wrong place shows
+const createImage = (width, height) => {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const colour = [[[200, 40, 40], [40, 160, 60]], [[40, 60, 200], [230, 200, 40]]][y < height * 0.55 ? 0 : 1][x < width * 0.35 ? 0 : 1];
+      pixels.set(colour, (y * width + x) * 3);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).png().toBuffer();
+};
+
+// The crop editor's fields, like getCropFields in App.jsx
+const getCropFields = (width, height, settings, preset) => {
+  const crop = calculateEditorCrop(width, height, settings, preset);
+  return {
+    mode: 'crop',
+    rotation: String(settings.rotation),
+    cropX: String(crop.left / crop.bounds.width),
+    cropY: String(crop.top / crop.bounds.height),
+    cropWidth: String(crop.width / crop.bounds.width),
+    cropHeight: String(crop.height / crop.bounds.height),
+  };
+};
+
+const toRgb = async (buffer) => sharp(buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+
+// Mean difference per channel, 0-255
+const meanDifference = (a, b) => {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) total += Math.abs(a[i] - b[i]);
+  return total / a.length;
+};
+
+describe('browser and server prints', () => {
+  const images = {};
+  before(async () => {
+    setLogger(() => {});
+    for (const [width, height] of IMAGES) images[`${width}x${height}`] = await createImage(width, height);
+  });
+
+  const assertSamePrint = async (image, fields, preset) => {
+    const server = await toRgb((await processImage(image, { ...fields, format: 'png' }, preset)).buffer);
+    const { canvas } = drawPrint(await loadImage(image), fields, preset);
+    const browser = await toRgb(await canvas.encode('png'));
+    assert.deepEqual([browser.info.width, browser.info.height], [server.info.width, server.info.height]);
+    // Resampling differs along the edges between the colours, nowhere else
+    const difference = meanDifference(browser.data, server.data);
+    assert.ok(difference < 2, `differs by ${difference.toFixed(2)} on average`);
+  };
+
+  for (const preset of PRESETS) {
+    for (const [width, height] of IMAGES) {
+      for (const rotation of [0, 5, -12.5, 90]) {
+        test(`${preset.id} crops ${width}x${height} turned ${rotation}`, async () => {
+          const settings = { center: { x: 0.4, y: 0.6 }, zoom: 1.3, rotation };
+          await assertSamePrint(images[`${width}x${height}`], getCropFields(width, height, settings, preset), preset);
+        });
+      }
+
+      for (const mode of ['pad', 'mirror']) {
+        test(`${preset.id} fills ${width}x${height} with ${mode}`, async () => {
+          await assertSamePrint(images[`${width}x${height}`], { mode, rotation: '5', background: '#336699' }, preset);
+        });
+      }
+    }
+  }
+
+  test('the old 1000x1200 case prints portrait', () => {
+    const fields = getCropFields(1000, 1200, { center: { x: 0.5, y: 0.5 }, zoom: 1, rotation: 0 }, getPreset('displate-m'));
+    const { cropRect, output } = getPrintLayout(fields, 1000, 1200, getPreset('displate-m'));
+    assert.deepEqual(cropRect, { left: 71, top: 0, width: 857, height: 1200 });
+    assert.deepEqual(output, { width: 2900, height: 4060 });
+  });
+
+  test('rejects a crop that is not the preset ratio', () => {
+    const strip = { mode: 'crop', cropX: '0', cropY: '0', cropWidth: '1', cropHeight: '0.2' };
+    assert.throws(() => getPrintLayout(strip, 1000, 1400, getPreset('displate-m')), { status: 400, code: 'INVALID_REQUEST' });
+    // Horizontal, but this poster only prints upright
+    const landscape = { mode: 'crop', cropX: '0', cropY: '0', cropWidth: '1', cropHeight: String(1000 / 1.5 / 1400) };
+    assert.throws(() => getPrintLayout(landscape, 1000, 1400, getPreset('poster-40x60')), { status: 400 });
+  });
+
+  test('rejects crop fields outside the image', () => {
+    for (const crop of [
+      { cropX: '-0.1', cropY: '0', cropWidth: '0.5', cropHeight: '0.5' },
+      { cropX: '0.6', cropY: '0', cropWidth: '0.5', cropHeight: '0.5' },
+      { cropX: '0', cropY: '0', cropWidth: '0', cropHeight: '0.5' },
+      { cropX: '0', cropY: '0', cropWidth: '0.5' },
+      { cropX: 'left', cropY: '0', cropWidth: '0.5', cropHeight: '0.5' },
+    ]) {
+      assert.throws(() => validateFields(crop), { status: 400, code: 'INVALID_REQUEST' }, JSON.stringify(crop));
+    }
+    validateFields({ cropX: '0.2', cropY: '0', cropWidth: '0.8', cropHeight: '1' });
+  });
+});
@@ -0,0 +1,120 @@
+// fetchRemoteImage against a stub HTTP server on localhost. The stub is on a
+// private address, so most tests allow those; the last ones check that the
+// same URLs are refused without allowPrivate.
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { Buffer } from 'node:buffer';
+import { fetchRemoteImage } from '../lib/remote.js';
+
+const IMAGE = Buffer.from('not really a PNG, but the content type says so');
+const MAX_BYTES = 1024;
+
+const ROUTES = {
+  '/art.png': (req, res) => {
+    res.writeHead(200, { 'content-type': 'image/png', 'content-length': IMAGE.length });
+    res.end(IMAGE);
+  },
+  '/page': (req, res) => {
+    res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+    res.end('<html></html>');
+  },
+  '/large': (req, res) => {
+    res.writeHead(200, { 'content-type': 'image/png', 'content-length': MAX_BYTES + 1 });
+    res.end(Buffer.alloc(MAX_BYTES + 1));
+  },
+  // No Content-Length, so the size is only known while downloading
+  '/large-chunked': (req, res) => {
+    res.writeHead(200, { 'content-type': 'image/png' });
+    res.write(Buffer.alloc(MAX_BYTES));
+    res.end(Buffer.alloc(MAX_BYTES));
+  },
+  // Starts answering, then never finishes
+  '/slow': (req, res) => {
+    res.writeHead(200, { 'content-type': 'image/png' });
+    res.write('x');
+  },
+  '/redirect': (req, res) => {
+    res.writeHead(302, { location: '/art.png' });
+    res.end();
+  },
+  '/loop': (req, res) => {
+    res.writeHead(301, { location: '/loop' });
+    res.end();
+  },
+};
+
+describe('fetchRemoteImage', () => {
+  let server;
+  let base;
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const route = ROUTES[req.url];
+      if (route) return route(req, res);
+      res.writeHead(404);
+      res.end();
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const fetchStub = (path, options = {}) =>
+    fetchRemoteImage(`${base}${path}`, { maxBytes: MAX_BYTES, allowPrivate: true, ...options });
+
+  test('downloads an image', async () => {
+    const image = await fetchStub('/art.png');
+    assert.deepEqual(image.buffer, IMAGE);
+    assert.equal(image.type, 'image/png');
+    assert.equal(image.name, 'art.png');
+  });
+
+  test('follows a redirect', async () => {
+    const image = await fetchStub('/redirect');
+    assert.deepEqual(image.buffer, IMAGE);
+  });
+
+  test('refuses other content types', async () => {
+    await assert.rejects(fetchStub('/page'), { status: 415, code: 'UNSUPPORTED_FORMAT' });
+  });
+
+  test('refuses a body over the limit by its Content-Length', async () => {
+    await assert.rejects(fetchStub('/large'), { status: 413, code: 'FILE_TOO_LARGE' });
+  });
+
+  test('refuses a body over the limit without a Content-Length', async () => {
+    await assert.rejects(fetchStub('/large-chunked'), { status: 413, code: 'FILE_TOO_LARGE' });
+  });
+
+  test('gives up on a slow response', async () => {
+    await assert.rejects(fetchStub('/slow', { timeoutMs: 200 }), { status: 504, code: 'URL_TIMEOUT' });
+  });
+
+  test('stops after too many redirects', async () => {
+    await assert.rejects(fetchStub('/loop'), { status: 502, code: 'URL_FETCH_FAILED' });
+  });
+
+  test('reports error statuses', async () => {
+    await assert.rejects(fetchStub('/missing'), { status: 502, code: 'URL_FETCH_FAILED' });
+  });
+
+  test('refuses URLs that are not http or https', async () => {
+    await assert.rejects(fetchRemoteImage('file:///etc/passwd', { maxBytes: MAX_BYTES }), { code: 'INVALID_URL' });
+    await assert.rejects(fetchRemoteImage('not a url', { maxBytes: MAX_BYTES }), { code: 'INVALID_URL' });
+  });
+
+  describe('without allowPrivate', () => {
+    const port = () => server.address().port;
+    for (const host of ['127.0.0.1', '[::ffff:127.0.0.1]', 'localhost', '169.254.169.254', '[::1]']) {
+      test(`refuses ${host}`, async () => {
+        await assert.rejects(
+          fetchRemoteImage(`http://${host}:${port()}/art.png`, { maxBytes: MAX_BYTES }),
+          { status: 400, code: 'URL_NOT_ALLOWED' },
+        );
+      });
+    }
+  });
+});